@@ -0,0 +1,284 @@
+/**
+ * DigiDisplay Media Cache - Tizen Web App
+ * Keeps downloaded videos in the Cache API so playback survives network loss.
+ * Entry sizes and last-use times are tracked in local storage for LRU eviction.
+ */
+
+const MEDIA_CACHE_NAME = 'digidisplay-media';
+const MEDIA_CACHE_INDEX_KEY = 'digidisplay.cache.index';
+
+class MediaCache {
+    constructor(player, options) {
+        this.log = logger.child('cache');
+        this.player = player;
+        this.enabled = options.enabled && typeof caches !== 'undefined';
+        this.quota = options.quota * 1024 * 1024;
+        this.index = this.loadIndex();
+        this.pending = {};                    // url -> in-flight download promise
+        this.queue = Promise.resolve();       // Downloads run one at a time
+        this.activeObjectUrl = null;
+        this.activeUrl = null;                // Video the active object URL was made for
+        this.listeners = [];
+    }
+
+    /**
+     * Call listener() whenever a background download adds an entry
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * Return a local object URL for a cached video, or the network URL on a miss.
+     * A miss queues a background download so the next play is local. Cache
+     * Storage hands the body back as a disk-backed blob, so the object URL
+     * reads from disk rather than holding the video in memory; resolving the
+     * same video again reuses the handle it already has.
+     */
+    async resolve(url) {
+        if (!this.enabled) {
+            return url;
+        }
+
+        try {
+            if (this.activeObjectUrl && this.activeUrl === url) {
+                this.touch(url);
+                this.log.debug("resolve - reusing the open handle", { url });
+                return this.activeObjectUrl;
+            }
+            const cache = await caches.open(MEDIA_CACHE_NAME);
+            const response = await cache.match(url);
+            if (response) {
+                const blob = await response.blob();
+                this.touch(url);
+                this.releaseObjectUrl();
+                this.activeObjectUrl = URL.createObjectURL(blob);
+                this.activeUrl = url;
+                this.log.debug("resolve - hit", { url, size: this.formatSize(blob.size) });
+                return this.activeObjectUrl;
+            }
+        } catch (error) {
+            this.log.warn("resolve - cache lookup failed, using network", { url, error: error.message });
+            return url;
+        }
+
+        this.log.debug("resolve - miss", { url });
+        if (this.index[url]) {
+            // Entry was evicted by the platform; forget it so it is downloaded again
+            delete this.index[url];
+            this.saveIndex();
+        }
+        this.prefetch(url);
+        return url;
+    }
+
+    /**
+     * Revoke the object URL handed out for the previous video
+     */
+    releaseObjectUrl() {
+        if (this.activeObjectUrl) {
+            URL.revokeObjectURL(this.activeObjectUrl);
+            this.activeObjectUrl = null;
+            this.activeUrl = null;
+        }
+    }
+
+    /**
+     * Queue a download of each URL that is not cached yet
+     */
+    prefetchAll(urls) {
+        urls.forEach((url) => this.prefetch(url));
+    }
+
+    prefetch(url) {
+        // Adaptive streams are segmented and cannot be stored as a single blob
+        if (detectSourceType(url) !== 'progressive') {
+            return Promise.resolve();
+        }
+        if (!this.enabled || this.index[url] || this.pending[url]) {
+            return this.pending[url] || Promise.resolve();
+        }
+
+        const download = this.queue.then(() => this.download(url)).then(() => {
+            this.listeners.forEach((listener) => listener());
+        }).catch((error) => {
+            this.log.warn("prefetch - download failed", { url, error: error.message });
+        }).then(() => {
+            delete this.pending[url];
+        });
+        this.pending[url] = download;
+        this.queue = download;
+        return download;
+    }
+
+    /**
+     * Download a video into the cache, evicting least recently used entries to fit.
+     * The body streams straight into the cache and is never held in memory as a whole.
+     */
+    async download(url) {
+        this.log.debug("download - fetching", { url });
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        // Refuse an oversized video before reading any of its body
+        const declaredSize = parseInt(response.headers.get('Content-Length'), 10) || 0;
+        if (declaredSize > this.quota) {
+            response.body.cancel();
+            throw new Error(`Video size ${this.formatSize(declaredSize)} exceeds cache quota ${this.formatSize(this.quota)}`);
+        }
+        await this.evict(declaredSize);
+
+        // Count the bytes as they pass, for servers that send no (or a wrong) Content-Length
+        let size = 0;
+        const quota = this.quota;
+        const tooLarge = `Video exceeds cache quota ${this.formatSize(this.quota)}`;
+        const counter = new TransformStream({
+            transform(chunk, controller) {
+                size += chunk.byteLength;
+                if (size > quota) {
+                    controller.error(new Error(tooLarge));
+                    return;
+                }
+                controller.enqueue(chunk);
+            }
+        });
+
+        const cache = await caches.open(MEDIA_CACHE_NAME);
+        await cache.put(url, new Response(response.body.pipeThrough(counter), {
+            headers: { 'Content-Type': response.headers.get('Content-Type') || 'video/mp4' }
+        }));
+        this.index[url] = { size, cachedAt: Date.now(), lastUsed: Date.now() };
+        this.saveIndex();
+        // The entry now counts in the usage; this only evicts when Content-Length was missing or too small
+        await this.evict(0, url);
+        this.log.debug("download - cached", {
+            url,
+            size: this.formatSize(size),
+            usage: this.formatSize(this.getUsage()),
+            quota: this.formatSize(this.quota)
+        });
+    }
+
+    /**
+     * Remove least recently used entries until bytesNeeded more fit under the
+     * quota. Videos in use and keep (the entry just added) are never removed
+     */
+    async evict(bytesNeeded, keep = null) {
+        const byAge = Object.keys(this.index)
+            .filter((url) => url !== keep && !this.isInUse(url))
+            .sort((a, b) => this.index[a].lastUsed - this.index[b].lastUsed);
+
+        while (byAge.length > 0 && this.getUsage() + bytesNeeded > this.quota) {
+            const url = byAge.shift();
+            this.log.debug("evict - removing", { url });
+            await this.purge(url);
+        }
+        if (this.getUsage() + bytesNeeded > this.quota) {
+            this.log.warn("evict - videos in use keep the cache over its quota", {
+                usage: this.formatSize(this.getUsage()),
+                quota: this.formatSize(this.quota)
+            });
+        }
+    }
+
+    /**
+     * Whether url is playing or loaded into the deck's standby, so its entry must stay
+     */
+    isInUse(url) {
+        return url === this.activeUrl || url === this.player.currentVideo || this.player.deck.isPreloading(url);
+    }
+
+    /**
+     * List cached entries, most recently used first
+     */
+    list() {
+        return Object.keys(this.index).map((url) => Object.assign({ url }, this.index[url]))
+            .sort((a, b) => b.lastUsed - a.lastUsed);
+    }
+
+    /**
+     * Whether url has a copy in the cache
+     */
+    isCached(url) {
+        return this.enabled && !!this.index[url];
+    }
+
+    /**
+     * The cached copy of url, or null when it is not cached
+     */
+    async getBlob(url) {
+        if (!this.enabled || !this.index[url]) {
+            return null;
+        }
+        try {
+            const cache = await caches.open(MEDIA_CACHE_NAME);
+            const response = await cache.match(url);
+            return response ? await response.blob() : null;
+        } catch (error) {
+            this.log.warn("getBlob - cache lookup failed", { url, error: error.message });
+            return null;
+        }
+    }
+
+    getUsage() {
+        return Object.keys(this.index).reduce((total, url) => total + this.index[url].size, 0);
+    }
+
+    async purge(url) {
+        if (this.enabled) {
+            const cache = await caches.open(MEDIA_CACHE_NAME);
+            await cache.delete(url);
+        }
+        delete this.index[url];
+        this.saveIndex();
+    }
+
+    /**
+     * Clear the cache. Entries in use are kept unless keepInUse is false,
+     * for a reset that restarts the app straight after
+     */
+    async purgeAll({ keepInUse = true } = {}) {
+        const kept = keepInUse ? Object.keys(this.index).filter((url) => this.isInUse(url)) : [];
+        this.log.debug("purgeAll - clearing media cache", { kept: kept.length });
+        if (kept.length > 0) {
+            for (const url of Object.keys(this.index).filter((url) => !kept.includes(url))) {
+                await this.purge(url);
+            }
+            return;
+        }
+        if (this.enabled) {
+            await caches.delete(MEDIA_CACHE_NAME);
+        }
+        this.index = {};
+        this.saveIndex();
+    }
+
+    touch(url) {
+        if (this.index[url]) {
+            this.index[url].lastUsed = Date.now();
+            this.saveIndex();
+        }
+    }
+
+    loadIndex() {
+        try {
+            return JSON.parse(localStorage.getItem(MEDIA_CACHE_INDEX_KEY)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    saveIndex() {
+        try {
+            localStorage.setItem(MEDIA_CACHE_INDEX_KEY, JSON.stringify(this.index));
+        } catch (error) {
+            this.log.warn("saveIndex - failed", { error: error.message });
+        }
+    }
+
+    formatSize(bytes) {
+        return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
+    }
+}
@@ -0,0 +1,222 @@
+/**
+ * DigiDisplay Configuration - Tizen Web App
+ * Default settings, overridable per screen through local storage
+ */
+
+const CONFIG_STORAGE_KEY = 'digidisplay.config';
+
+const DEFAULT_CONFIG = {
+    manifest: {
+        url: '',            // Remote JSON manifest; empty disables the manifest client
+        pollInterval: 300,  // Seconds between manifest fetches
+        fetchTimeout: 15    // Seconds before a manifest fetch is abandoned
+    },
+    content: {
+        defaultDuration: 10,    // Seconds an image, HTML or web page item shows without its own duration
+        loadTimeout: 15         // Seconds an image, HTML or web page item may take to load
+    },
+    cache: {
+        enabled: true,      // Download items for offline playback
+        quota: 2048         // Megabytes of video to keep before evicting the least recently used
+    },
+    preflight: {
+        enabled: true,      // Check status, type and format of a video before loading it
+        probeSize: 4096,    // Bytes read to recognise the container
+        codecCheck: true,   // Read an MP4's codecs (using the metadata settings) and ask the platform about them
+        fetchTimeout: 10    // Seconds before the check request is abandoned
+    },
+    connectivity: {
+        probeUrl: '',               // Fetched to check the way out; empty uses the manifest URL, and without one only network events count
+        probeInterval: 30,          // Seconds between reachability probes
+        probeTimeout: 5,            // Seconds before a probe counts as failed
+        slowThreshold: 2000,        // Milliseconds of probe latency above which the connection counts as degraded
+        failuresBeforeOffline: 2    // Failed probes in a row before the screen counts as offline
+    },
+    failover: {
+        attempts: 3,            // Tries of a source before failing over to the next; sources that failed recently get one
+        retryBase: 2,           // Seconds before the first retry; doubles on each failure
+        retryMax: 30,           // Upper bound on the retry delay in seconds
+        failbackInterval: 300   // Seconds before a failed source (usually the primary) is tried first again
+    },
+    metadata: {
+        enabled: true,              // Read MP4 file information for the Video Info panel
+        probeSize: 65536,           // Bytes read from the start of a file; usually holds ftyp and, in streaming-ready files, moov
+        maxMoovSize: 8388608,       // Largest moov box read, in bytes
+        fetchTimeout: 15,           // Seconds before a ranged read is abandoned
+        thumbnails: {
+            enabled: true,
+            width: 160,             // Pixels; height follows the video's aspect ratio
+            cacheSize: 60,          // Frames kept in local storage
+            captureWhilePlaying: false  // Capture with a second decoder while the main video plays
+        }
+    },
+    gapless: {
+        enabled: false,             // Preload the next playlist video in a second, hidden video element; needs a second hardware decoder
+        transition: 'crossfade',    // 'crossfade' or 'cut' between consecutive videos
+        crossfadeDuration: 0.5      // Seconds
+    },
+    layout: {
+        videoZones: false   // Play the manifest's 'video' zones; each takes another hardware decoder
+    },
+    library: {
+        historySize: 30     // Recently loaded URLs kept in the Recent panel
+    },
+    transport: {
+        hideTimeout: 5,             // Seconds after the last key press before the transport bar hides
+        skipShort: 10,              // Seconds skipped by the short skip buttons and Left/Right on the timeline
+        skipLong: 60,
+        rates: [0.5, 0.75, 1, 1.25, 1.5, 2]     // Playback speeds the speed button cycles through
+    },
+    keys: {
+        map: {}             // Per-screen overrides of KEY_MAP (keymap.js), e.g. { ColorF3Blue: 'stop' }; '' unmaps a key
+    },
+    subtitles: {
+        language: '',               // Preferred caption language (e.g. 'en'); empty shows only tracks marked default
+        fontSize: 120,              // Percent of the default caption size (5% of the video height)
+        fontFamily: 'Arial, sans-serif',
+        color: '#ffffff',
+        background: 'rgba(0, 0, 0, 0.75)',
+        position: 'bottom'          // 'bottom' or 'top'
+    },
+    ticker: {
+        enabled: false,
+        position: 'bottom',         // 'top' or 'bottom' of the video
+        source: 'static',           // 'static', 'rss' (RSS or Atom) or 'json'
+        messages: [],               // Text for the static source
+        url: '',                    // Feed or JSON endpoint for the rss and json sources
+        itemsPath: '',              // JSON: dotted path to the array of items; empty for a top-level array
+        textField: 'title',         // JSON: field holding the text when items are objects
+        refreshInterval: 300,       // Seconds between feed fetches
+        fetchTimeout: 15,           // Seconds before a feed fetch is abandoned
+        maxItems: 20,
+        speed: 120,                 // Pixels per second
+        separator: '   •   ',
+        fontFamily: 'Arial, sans-serif',
+        fontSize: 36,               // Pixels
+        color: '#ffffff',
+        background: 'rgba(0, 0, 0, 0.7)'
+    },
+    display: {
+        mode: 'operator',   // 'operator' shows the full UI; 'signage' shows fullscreen video only
+        pin: '',            // PIN that opens the operator UI in signage mode; empty keeps the screen locked
+        pinAttempts: 3,     // Wrong PINs in a row before the prompt locks out
+        pinLockout: 60,     // Seconds of the first lockout; each further lockout doubles it
+        unlockSequence: ['ArrowUp', 'ArrowUp', 'ArrowDown', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'Enter'],
+        unlockTimeout: 120  // Seconds without a key press before the operator UI relocks
+    },
+    remote: {
+        url: '',                // Controller WebSocket URL (ws:// or wss://); empty disables remote control
+        token: '',              // Device token sent to the controller to authenticate
+        heartbeatInterval: 30,  // Seconds between pings; twice this without a message drops the connection
+        retryBase: 2,           // Seconds before the first reconnect; doubles on each failure
+        retryMax: 300           // Upper bound on the reconnect delay in seconds
+    },
+    watchdog: {
+        enabled: true,
+        checkInterval: 2,           // Seconds between playback progress checks
+        stallTimeout: 10,           // Seconds without progress before recovery starts
+        recoveryGrace: 15,          // Seconds a recovery step gets before escalating
+        minRestartInterval: 600     // Seconds between app restarts; sooner stalls start the steps over
+    },
+    proofOfPlay: {
+        enabled: true,
+        url: '',                // Endpoint that accepts POSTed { deviceId, records: [...] } batches
+        batchSize: 50,
+        uploadInterval: 60,     // Seconds between uploads when the queue is drained
+        maxQueueSize: 5000,     // Oldest records are dropped beyond this
+        retryBase: 5,           // Seconds before the first retry; doubles on each failure
+        retryMax: 600           // Upper bound on the retry delay in seconds
+    },
+    logging: {
+        level: 'debug',         // trace, debug, info, warn or error
+        bufferSize: 500,        // Entries kept in the ring buffer (and in local storage)
+        sinks: {
+            screen: { enabled: true, maxLines: 200 },   // On-screen debug console
+            storage: { enabled: true },                 // Persistent ring buffer in local storage
+            http: {
+                enabled: false,
+                url: '',            // Endpoint that accepts POSTed { entries: [...] } batches
+                level: 'warn',      // Minimum level uploaded
+                interval: 60,       // Seconds between uploads
+                batchSize: 100
+            }
+        }
+    },
+    streaming: {
+        initialBandwidth: 2000000,  // Bits per second assumed before the first segment is measured
+        bufferGoal: 30,             // Seconds of media to keep buffered ahead of the playhead
+        safetyFactor: 0.8           // Fraction of the measured bandwidth a rendition may use
+    },
+    schedule: {
+        timezone: ''        // Default timezone for schedule windows; empty uses the device timezone
+    },
+    provisioning: {
+        url: '',            // Endpoint a new screen polls until it is claimed; empty skips first-run setup
+        pollInterval: 5,    // Seconds between polls while waiting for a claim
+        fetchTimeout: 10    // Seconds before a poll is abandoned
+    }
+};
+
+/**
+ * Recursively merge plain objects, with values from override taking precedence
+ */
+function mergeConfig(base, override) {
+    const result = Object.assign({}, base);
+    Object.keys(override || {}).forEach((key) => {
+        const value = override[key];
+        if (value && typeof value === 'object' && !Array.isArray(value) &&
+            base[key] && typeof base[key] === 'object' && !Array.isArray(base[key])) {
+            result[key] = mergeConfig(base[key], value);
+        } else {
+            result[key] = value;
+        }
+    });
+    return result;
+}
+
+/**
+ * Check a configuration against DEFAULT_CONFIG: every key must exist there,
+ * with a value of the same type. Objects that are empty in the defaults
+ * (such as keys.map) take any keys. Returns the list of errors.
+ */
+function validateConfig(config, defaults = DEFAULT_CONFIG, path = 'config', errors = []) {
+    Object.keys(config).forEach((key) => {
+        const keyPath = `${path}.${key}`;
+        if (!Object.prototype.hasOwnProperty.call(defaults, key)) {
+            errors.push(`${keyPath} is not a known setting`);
+            return;
+        }
+        const expected = defaults[key];
+        const value = config[key];
+        if (Array.isArray(expected)) {
+            if (!Array.isArray(value)) {
+                errors.push(`${keyPath} must be an array`);
+            }
+        } else if (expected && typeof expected === 'object') {
+            if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                errors.push(`${keyPath} must be an object`);
+            } else if (Object.keys(expected).length > 0) {
+                validateConfig(value, expected, keyPath, errors);
+            }
+        } else if (typeof value !== typeof expected) {
+            errors.push(`${keyPath} must be a ${typeof expected}`);
+        }
+    });
+    return errors;
+}
+
+/**
+ * Load the app configuration: defaults merged with the stored overrides
+ */
+function loadAppConfig() {
+    let overrides = {};
+    try {
+        const stored = localStorage.getItem(CONFIG_STORAGE_KEY);
+        if (stored) {
+            overrides = JSON.parse(stored);
+        }
+    } catch (error) {
+        logger.warn('config', "loadAppConfig - ignoring unreadable stored config", { error: error.message });
+    }
+    return mergeConfig(DEFAULT_CONFIG, overrides);
+}
@@ -0,0 +1,179 @@
+/**
+ * DigiDisplay Connectivity Monitor - Tizen Web App
+ * Works out whether the screen is online from three sources: the browser's
+ * online/offline events, the platform's network type (tizen.systeminfo, on
+ * TVs) and periodic reachability probes to a configurable endpoint. The
+ * result is one of CONNECTIVITY_STATES, shown in a banner when it is not
+ * 'online' and published to onChange listeners.
+ */
+
+const CONNECTIVITY_STATES = ['online', 'degraded', 'offline'];
+
+const CONNECTIVITY_MESSAGES = {
+    degraded: 'Network connection is slow or unreliable',
+    offline: 'Network connection lost - playing from the offline cache where possible'
+};
+
+class ConnectivityMonitor {
+    constructor(player, options) {
+        this.log = logger.child('connectivity');
+        this.player = player;
+        this.configuredProbeUrl = options.probeUrl;
+        this.probeInterval = options.probeInterval * 1000;
+        this.probeTimeout = options.probeTimeout * 1000;
+        this.slowThreshold = options.slowThreshold;
+        this.failuresBeforeOffline = options.failuresBeforeOffline;
+        this.browserOnline = typeof navigator === 'undefined' || navigator.onLine !== false;
+        this.platformOnline = true;
+        this.probeFailures = 0;
+        this.latency = null;        // Milliseconds taken by the last successful probe
+        this.state = 'online';
+        this.listeners = [];
+        this.probeTimer = null;
+        this.probing = false;
+    }
+
+    start() {
+        window.addEventListener('online', () => {
+            this.log.info("online event");
+            this.browserOnline = true;
+            this.update('online event');
+            // The browser only knows a link is up; the probe checks the way out
+            this.probe();
+        });
+        window.addEventListener('offline', () => {
+            this.log.warn("offline event");
+            this.browserOnline = false;
+            this.update('offline event');
+        });
+        this.watchPlatform();
+
+        if (this.getProbeUrl()) {
+            this.probe();
+        } else {
+            this.log.info("start - no probe URL configured, relying on network events only");
+        }
+        this.update('start');
+    }
+
+    /**
+     * Follow the TV's own view of the network, where the Tizen API is present
+     */
+    watchPlatform() {
+        if (typeof tizen === 'undefined' || !tizen.systeminfo) {
+            return;
+        }
+        const apply = (network) => {
+            this.platformOnline = network.networkType !== 'NONE';
+            this.log.debug("platform network", { networkType: network.networkType });
+            this.update('platform network ' + network.networkType);
+        };
+        try {
+            tizen.systeminfo.getPropertyValue('NETWORK', apply, (error) => {
+                this.log.warn("watchPlatform - network type unavailable", { error: error.message });
+            });
+            tizen.systeminfo.addPropertyValueChangeListener('NETWORK', apply);
+        } catch (error) {
+            this.log.warn("watchPlatform - Tizen network API unavailable", { error: error.message });
+        }
+    }
+
+    getState() {
+        return this.state;
+    }
+
+    isOffline() {
+        return this.state === 'offline';
+    }
+
+    /**
+     * Call listener(state, previous) whenever the state changes
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * connectivity.probeUrl, or else the manifest URL; read on every probe so a
+     * manifest URL set after start is picked up
+     */
+    getProbeUrl() {
+        return this.configuredProbeUrl || this.player.config.manifest.url;
+    }
+
+    /**
+     * Fetch the probe URL and time it; opaque (no-cors) answers count, so any server will do
+     */
+    async probe() {
+        const probeUrl = this.getProbeUrl();
+        if (!probeUrl || this.probing) {
+            return;
+        }
+        this.probing = true;
+        clearTimeout(this.probeTimer);
+
+        const controller = typeof AbortController === 'function' ? new AbortController() : null;
+        const timer = setTimeout(() => controller && controller.abort(), this.probeTimeout);
+        const startedAt = Date.now();
+        try {
+            await fetch(probeUrl, {
+                method: 'HEAD',
+                mode: 'no-cors',
+                cache: 'no-store',
+                signal: controller ? controller.signal : undefined
+            });
+            this.latency = Date.now() - startedAt;
+            this.probeFailures = 0;
+            this.log.trace("probe - reachable", { latency: this.latency });
+        } catch (error) {
+            this.probeFailures++;
+            this.log.debug("probe - failed", { failures: this.probeFailures, error: error.name === 'AbortError' ? 'timed out' : error.message });
+        } finally {
+            clearTimeout(timer);
+            this.probing = false;
+        }
+
+        this.update('probe');
+        this.probeTimer = setTimeout(() => this.probe(), this.probeInterval);
+    }
+
+    computeState() {
+        if (!this.browserOnline || !this.platformOnline || this.probeFailures >= this.failuresBeforeOffline) {
+            return 'offline';
+        }
+        if (this.probeFailures > 0 || (this.latency !== null && this.latency > this.slowThreshold)) {
+            return 'degraded';
+        }
+        return 'online';
+    }
+
+    update(reason) {
+        const state = this.computeState();
+        if (state === this.state) {
+            return;
+        }
+        const previous = this.state;
+        this.state = state;
+        this.log[state === 'online' ? 'info' : 'warn']("update - state changed", {
+            from: previous,
+            to: state,
+            reason,
+            latency: this.latency,
+            probeFailures: this.probeFailures
+        });
+        this.renderBanner();
+        this.listeners.forEach((listener) => {
+            try {
+                listener(state, previous);
+            } catch (error) {
+                this.log.error("update - listener failed", { error: error.message });
+            }
+        });
+    }
+
+    renderBanner() {
+        const banner = document.getElementById('connectivity-banner');
+        banner.textContent = CONNECTIVITY_MESSAGES[this.state] || '';
+        banner.className = `connectivity-banner connectivity-${this.state}`;
+    }
+}
@@ -0,0 +1,361 @@
+/**
+ * DigiDisplay Content Items - Tizen Web App
+ * Non-video playlist items, drawn over the video player in the main zone:
+ * - image: JPEG/PNG/WebP/GIF picture
+ * - html:  self-contained HTML promo, fetched and shown in a sandboxed frame
+ * - url:   live web page shown in a frame
+ * Video items keep going through VideoPlayer.loadVideo.
+ *
+ * Shown items report 'started' and 'finished' events on #content-stage,
+ * the counterparts of the video element's 'playing' and 'ended'.
+ */
+
+const CONTENT_TYPES = ['video', 'image', 'html', 'url'];
+const IMAGE_EXTENSIONS = ['jpg', 'jpeg', 'png', 'webp', 'gif'];
+const HTML_EXTENSIONS = ['html', 'htm'];
+
+/**
+ * Guess an item's type from its URL; web pages must be marked 'url' explicitly
+ */
+function detectContentType(url) {
+    let extension = '';
+    try {
+        const lastSegment = new URL(url).pathname.split('/').pop();
+        extension = lastSegment.includes('.') ? lastSegment.split('.').pop().toLowerCase() : '';
+    } catch (_) {
+        return 'video';
+    }
+
+    if (IMAGE_EXTENSIONS.includes(extension)) {
+        return 'image';
+    }
+    if (HTML_EXTENSIONS.includes(extension)) {
+        return 'html';
+    }
+    return 'video';
+}
+
+/**
+ * Shared renderer plumbing: each renderer builds its element hidden in the
+ * stage and exposes a ready promise that settles once it can be shown
+ */
+class ContentRenderer {
+    constructor(item, stage, timeout) {
+        this.item = item;
+        this.stage = stage;
+        this.timeout = timeout;
+        this.element = null;
+    }
+
+    attach(element) {
+        this.element = element;
+        element.className = `content-item content-${this.item.type}`;
+        this.stage.appendChild(element);
+    }
+
+    /**
+     * Reject if loading takes longer than the configured timeout
+     */
+    withTimeout(promise) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(new Error(`${this.item.type} load timeout`)), this.timeout);
+            promise.then((value) => {
+                clearTimeout(timer);
+                resolve(value);
+            }, (error) => {
+                clearTimeout(timer);
+                reject(error);
+            });
+        });
+    }
+
+    show() {
+        this.element.classList.add('active');
+    }
+
+    destroy() {
+        if (this.element && this.element.parentNode) {
+            this.element.parentNode.removeChild(this.element);
+        }
+    }
+}
+
+class ImageRenderer extends ContentRenderer {
+    constructor(item, stage, timeout) {
+        super(item, stage, timeout);
+        const image = document.createElement('img');
+        image.alt = '';
+        this.attach(image);
+        this.ready = this.withTimeout(new Promise((resolve, reject) => {
+            image.onload = () => {
+                // Decode before showing so the swap never paints a half-drawn image
+                if (typeof image.decode === 'function') {
+                    image.decode().then(resolve, resolve);
+                } else {
+                    resolve();
+                }
+            };
+            image.onerror = () => reject(new Error('Image failed to load'));
+            image.src = item.url;
+        }));
+    }
+
+    destroy() {
+        this.element.onload = null;
+        this.element.onerror = null;
+        this.element.removeAttribute('src');
+        super.destroy();
+    }
+}
+
+class HtmlRenderer extends ContentRenderer {
+    constructor(item, stage, timeout) {
+        super(item, stage, timeout);
+        const frame = document.createElement('iframe');
+        // Scripts may run, but the promo gets an opaque origin and cannot reach the app
+        frame.setAttribute('sandbox', 'allow-scripts');
+        frame.setAttribute('scrolling', 'no');
+        this.attach(frame);
+        this.controller = typeof AbortController === 'function' ? new AbortController() : null;
+        this.ready = this.withTimeout(this.fetchAndRender(frame));
+        this.ready.catch(() => this.controller && this.controller.abort());
+    }
+
+    async fetchAndRender(frame) {
+        const response = await fetch(this.item.url, this.controller ? { signal: this.controller.signal } : {});
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        const html = await response.text();
+        await new Promise((resolve) => {
+            frame.onload = resolve;
+            frame.srcdoc = this.withBase(html);
+        });
+    }
+
+    /**
+     * The promo with a <base> so its relative links resolve against where it was
+     * fetched from; built through the DOM so the URL cannot break out of the attribute
+     */
+    withBase(html) {
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        const base = doc.createElement('base');
+        base.setAttribute('href', this.item.url);
+        doc.head.insertBefore(base, doc.head.firstChild);
+        return (doc.doctype ? `<!DOCTYPE ${doc.doctype.name}>` : '') + doc.documentElement.outerHTML;
+    }
+
+    destroy() {
+        if (this.controller) {
+            this.controller.abort();
+        }
+        this.element.onload = null;
+        super.destroy();
+    }
+}
+
+class UrlRenderer extends ContentRenderer {
+    constructor(item, stage, timeout) {
+        super(item, stage, timeout);
+        const frame = document.createElement('iframe');
+        frame.setAttribute('sandbox', 'allow-scripts allow-same-origin');
+        frame.setAttribute('scrolling', 'no');
+        this.attach(frame);
+        // Frames report no load errors (blocked pages still fire load), so only a hang fails the item
+        this.ready = this.withTimeout(new Promise((resolve) => {
+            frame.onload = resolve;
+            frame.src = item.url;
+        }));
+    }
+
+    destroy() {
+        this.element.onload = null;
+        this.element.src = 'about:blank';
+        super.destroy();
+    }
+}
+
+const CONTENT_RENDERERS = {
+    image: ImageRenderer,
+    html: HtmlRenderer,
+    url: UrlRenderer
+};
+
+class ContentPresenter {
+    constructor(player, options) {
+        this.log = logger.child('content');
+        this.player = player;
+        this.defaultDuration = options.defaultDuration;
+        this.loadTimeout = options.loadTimeout * 1000;
+        this.current = null;    // Renderer on screen
+        this.loaded = null;     // Renderer loaded and waiting for show()
+        this.preloaded = null;  // Renderer warming up for the next item
+        this.loadToken = 0;
+        this.timer = null;
+        this.remaining = 0;     // Display time left, in ms
+        this.shownAt = 0;
+        this.paused = false;
+    }
+
+    getStage() {
+        return document.getElementById('content-stage');
+    }
+
+    isShowing() {
+        return this.current !== null;
+    }
+
+    /**
+     * Load an item off-screen; resolves once it is ready to show without a blank frame
+     */
+    async load(item) {
+        const token = ++this.loadToken;
+        this.discard('loaded');
+        // The item on screen stays up while the next loads, but must not finish meanwhile
+        clearTimeout(this.timer);
+
+        let renderer = this.preloaded;
+        this.preloaded = null;
+        if (!renderer || renderer.item.url !== item.url || renderer.item.type !== item.type) {
+            if (renderer) {
+                renderer.destroy();
+            }
+            renderer = this.createRenderer(item);
+        }
+
+        try {
+            await renderer.ready;
+        } catch (error) {
+            renderer.destroy();
+            this.log.warn("load - failed", { type: item.type, url: item.url, error: error.message });
+            throw error;
+        }
+
+        if (token !== this.loadToken) {
+            renderer.destroy();
+            return;
+        }
+        this.loaded = renderer;
+        this.log.debug("load - ready", { type: item.type, url: item.url });
+    }
+
+    /**
+     * Swap the loaded item onto the screen and start its display time
+     */
+    show() {
+        if (!this.loaded) {
+            return;
+        }
+
+        this.player.suspendVideo();
+        const previous = this.current;
+        this.current = this.loaded;
+        this.loaded = null;
+        this.current.show();
+        this.getStage().classList.add('active');
+        // Remove the previous item only after the new one covers it
+        if (previous) {
+            previous.destroy();
+        }
+
+        this.paused = false;
+        this.startTimer(this.getDuration(this.current.item));
+        this.dispatch('started');
+    }
+
+    /**
+     * Show the current item again for another loop
+     */
+    restart() {
+        if (!this.current) {
+            return;
+        }
+        this.paused = false;
+        this.startTimer(this.getDuration(this.current.item));
+        this.dispatch('started');
+    }
+
+    /**
+     * Take all content off the screen, uncovering the video player
+     */
+    hide() {
+        clearTimeout(this.timer);
+        this.loadToken++;
+        this.discard('loaded');
+        this.discard('current');
+        this.getStage().classList.remove('active');
+    }
+
+    /**
+     * Start loading the next item in the background; video items are left to the player
+     */
+    preload(item) {
+        if (!item || !CONTENT_RENDERERS[item.type]) {
+            return;
+        }
+        if (this.preloaded && this.preloaded.item.url === item.url && this.preloaded.item.type === item.type) {
+            return;
+        }
+
+        this.discard('preloaded');
+        const renderer = this.createRenderer(item);
+        this.preloaded = renderer;
+        renderer.ready.catch((error) => {
+            this.log.debug("preload - failed, will retry when due", { url: item.url, error: error.message });
+            if (this.preloaded === renderer) {
+                this.discard('preloaded');
+            }
+        });
+    }
+
+    pause() {
+        if (!this.current || this.paused) {
+            return;
+        }
+        clearTimeout(this.timer);
+        this.remaining = Math.max(0, this.remaining - (Date.now() - this.shownAt));
+        this.paused = true;
+    }
+
+    resume() {
+        if (!this.current || !this.paused) {
+            return;
+        }
+        this.paused = false;
+        this.startTimer(this.remaining / 1000);
+    }
+
+    getDuration(item) {
+        return item.duration || this.defaultDuration;
+    }
+
+    startTimer(seconds) {
+        clearTimeout(this.timer);
+        this.remaining = seconds * 1000;
+        this.shownAt = Date.now();
+        this.timer = setTimeout(() => {
+            // The item stays up until the next one replaces it
+            this.dispatch('finished');
+        }, this.remaining);
+    }
+
+    createRenderer(item) {
+        const Renderer = CONTENT_RENDERERS[item.type];
+        if (!Renderer) {
+            throw new Error(`Unsupported content type: ${item.type}`);
+        }
+        return new Renderer(item, this.getStage(), this.loadTimeout);
+    }
+
+    discard(slot) {
+        if (this[slot]) {
+            this[slot].destroy();
+            this[slot] = null;
+        }
+    }
+
+    dispatch(name) {
+        const item = this.current.item;
+        this.getStage().dispatchEvent(new CustomEvent(name, { detail: { url: item.url, type: item.type } }));
+    }
+}
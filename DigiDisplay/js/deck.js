@@ -0,0 +1,210 @@
+/**
+ * DigiDisplay Video Deck - Tizen Web App
+ * Two video elements: the one on screen and a hidden standby that preloads
+ * the next playlist video, so consecutive videos follow each other without
+ * a black gap. On a switch the two trade places, with a crossfade or a cut,
+ * and the old one becomes the standby for the item after that.
+ *
+ * The element on screen always carries the id 'video-player', so code that
+ * looks it up by id keeps working. Media event listeners that should follow
+ * the element on screen are added through listen().
+ *
+ * Only progressive (MP4) videos are preloaded; HLS and DASH sources still
+ * load through VideoPlayer.loadVideo.
+ *
+ * Many TVs have a single hardware video decoder, which a preloading standby
+ * can take from the video on screen, so the deck is off unless
+ * gapless.enabled is set. With it off every video loads through loadVideo.
+ */
+
+const DECK_ACTIVE_ID = 'video-player';
+const DECK_ACTIVE_SOURCE_ID = 'video-source';
+const DECK_STANDBY_ID = 'video-standby';
+const DECK_STANDBY_SOURCE_ID = 'video-standby-source';
+const DECK_TRANSITIONS = ['crossfade', 'cut'];
+
+class VideoDeck {
+    constructor(player, options) {
+        this.log = logger.child('deck');
+        this.player = player;
+        this.enabled = options.enabled;
+        this.transition = DECK_TRANSITIONS.includes(options.transition) ? options.transition : 'cut';
+        this.crossfadeDuration = options.crossfadeDuration;
+        this.elements = [document.getElementById(DECK_ACTIVE_ID), document.getElementById(DECK_STANDBY_ID)];
+        this.objectUrls = new Map();    // element -> object URL of a cached video it was given
+        this.preloadUrl = null;         // Video wanted in (or loading into) the standby element
+        this.preloadToken = 0;
+        this.fadeTimer = null;
+
+        this.elements.forEach((video) => {
+            video.addEventListener('error', () => {
+                if (video === this.getStandby() && this.preloadUrl) {
+                    this.log.warn("preload failed", { url: this.preloadUrl, error: video.error ? video.error.message : 'Unknown error' });
+                    this.cancel();
+                }
+            });
+        });
+    }
+
+    getActive() {
+        return document.getElementById(DECK_ACTIVE_ID);
+    }
+
+    getStandby() {
+        return document.getElementById(DECK_STANDBY_ID);
+    }
+
+    getElements() {
+        return this.elements;
+    }
+
+    /**
+     * Call handler for events of the video on screen only; the standby's
+     * loading and the outgoing video's unloading stay silent
+     */
+    listen(name, handler) {
+        this.elements.forEach((video) => {
+            video.addEventListener(name, (e) => {
+                if (video === this.getActive()) {
+                    handler(e);
+                }
+            });
+        });
+    }
+
+    /**
+     * Start loading url into the standby element; waits for a running crossfade
+     */
+    preload(url) {
+        if (!this.enabled || detectSourceType(url) !== 'progressive' || url === this.preloadUrl) {
+            return;
+        }
+        this.preloadUrl = url;
+        if (!this.fadeTimer) {
+            this.loadStandby().catch(error => {
+                this.log.warn("preload - failed", { url, error: error.message });
+            });
+        }
+    }
+
+    async loadStandby() {
+        const token = ++this.preloadToken;
+        const url = this.preloadUrl;
+        this.unload(this.getStandby());
+
+        const blob = await this.player.mediaCache.getBlob(url);
+        if (token !== this.preloadToken) {
+            return;
+        }
+        const standby = this.getStandby();
+        let playbackUrl = url;
+        if (blob) {
+            this.player.mediaCache.touch(url);
+            playbackUrl = URL.createObjectURL(blob);
+            this.objectUrls.set(standby, playbackUrl);
+        } else {
+            this.player.mediaCache.prefetch(url);
+        }
+
+        this.log.debug("loadStandby", { url, source: blob ? 'cache' : 'network' });
+        standby.volume = this.player.settings.get('volume') / 100;
+        standby.querySelector('source').src = playbackUrl;
+        standby.src = playbackUrl;
+        standby.load();
+    }
+
+    /**
+     * Whether url is preloaded far enough to show its first frame straight away
+     */
+    isReady(url) {
+        return this.enabled && !this.fadeTimer && url === this.preloadUrl && this.getStandby().readyState >= 2;
+    }
+
+    /**
+     * Whether url is in (or loading into) the standby element
+     */
+    isPreloading(url) {
+        return url === this.preloadUrl;
+    }
+
+    /**
+     * Put the standby on screen and retire the active element into standby
+     */
+    swap() {
+        const previous = this.getActive();
+        const next = this.getStandby();
+        this.log.debug("swap", { url: this.preloadUrl, transition: this.transition });
+        this.preloadUrl = null;
+        this.preloadToken++;
+
+        // Ids change hands, so #video-player is always the video on screen
+        previous.id = '';
+        next.id = DECK_ACTIVE_ID;
+        previous.id = DECK_STANDBY_ID;
+        previous.querySelector('source').id = '';
+        next.querySelector('source').id = DECK_ACTIVE_SOURCE_ID;
+        previous.querySelector('source').id = DECK_STANDBY_SOURCE_ID;
+        next.classList.remove('video-standby');
+        previous.classList.add('video-standby');
+
+        // The outgoing video fades away on top of the new one; an empty one would only fade from black
+        if (this.transition === 'crossfade' && previous.readyState >= 2) {
+            previous.muted = true;
+            previous.style.animationDuration = `${this.crossfadeDuration}s`;
+            previous.classList.add('video-fading');
+            this.fadeTimer = setTimeout(() => this.finishFade(), this.crossfadeDuration * 1000);
+        } else {
+            this.unload(previous);
+        }
+    }
+
+    finishFade() {
+        clearTimeout(this.fadeTimer);
+        this.fadeTimer = null;
+        const standby = this.getStandby();
+        standby.classList.remove('video-fading');
+        standby.style.animationDuration = '';
+        standby.muted = false;
+        this.unload(standby);
+
+        // A preload asked for during the fade starts now
+        if (this.preloadUrl) {
+            this.loadStandby().catch(error => {
+                this.log.warn("finishFade - preload failed", { url: this.preloadUrl, error: error.message });
+            });
+        }
+    }
+
+    /**
+     * Drop any preloaded video and end a running crossfade
+     */
+    cancel() {
+        this.preloadUrl = null;
+        this.preloadToken++;
+        if (this.fadeTimer) {
+            this.finishFade();
+        } else {
+            this.unload(this.getStandby());
+        }
+    }
+
+    unload(video) {
+        video.pause();
+        // Removing the sources (rather than setting them empty) unloads without raising an error
+        video.querySelector('source').removeAttribute('src');
+        video.removeAttribute('src');
+        video.load();
+        this.releaseObjectUrl(video);
+    }
+
+    /**
+     * Revoke the object URL the deck gave video, once it no longer plays it
+     */
+    releaseObjectUrl(video) {
+        const objectUrl = this.objectUrls.get(video);
+        if (objectUrl) {
+            URL.revokeObjectURL(objectUrl);
+            this.objectUrls.delete(video);
+        }
+    }
+}
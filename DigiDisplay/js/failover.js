@@ -0,0 +1,141 @@
+/**
+ * DigiDisplay Source Failover - Tizen Web App
+ * Loads a playlist video from the first of its sources that works: the item's
+ * url, then its mirrors in order. Each source is retried with exponential
+ * backoff and jitter before the next one is tried. A source that failed is
+ * moved to the back of the list for failbackInterval seconds and then gets a
+ * single attempt ahead of the others again, so playback returns to the
+ * primary once it recovers.
+ *
+ * A source already in the offline cache plays from there without touching
+ * the network, so the cache acts as a mirror for every source it holds.
+ */
+
+const FAILOVER_JITTER = 0.5;    // Delays are cut by up to this fraction, so screens sharing a CDN do not retry in step
+
+class SourceFailover {
+    constructor(player, options) {
+        this.log = logger.child('failover');
+        this.player = player;
+        this.attempts = options.attempts;
+        this.retryBase = options.retryBase;
+        this.retryMax = options.retryMax;
+        this.failbackInterval = options.failbackInterval;
+        this.failures = {};     // source url -> time of its last failure
+    }
+
+    /**
+     * Sources of item in the order to try them: the ones that have not failed
+     * recently in list order, then the rest
+     */
+    order(item) {
+        const sources = item.sources || [item.url];
+        const now = Date.now();
+        const healthy = sources.filter((url) => !this.isDown(url, now));
+        return healthy.concat(sources.filter((url) => this.isDown(url, now)));
+    }
+
+    preferredSource(item) {
+        return this.order(item)[0];
+    }
+
+    isDown(url, now = Date.now()) {
+        return this.failures[url] !== undefined && now - this.failures[url] < this.failbackInterval * 1000;
+    }
+
+    /**
+     * Remember that url failed, during a load or later while it played
+     */
+    markFailed(url) {
+        if (url) {
+            this.failures[url] = Date.now();
+        }
+    }
+
+    /**
+     * Load a video item; resolves with the source that loaded. isCurrent
+     * returning false (the playlist moved on) abandons the remaining attempts
+     */
+    async load(item, isCurrent = () => true) {
+        const sources = this.order(item);
+        let lastError = null;
+
+        for (const url of sources) {
+            // A source that failed before only gets one try, so a fail-back probe costs little
+            const attempts = this.failures[url] !== undefined ? 1 : this.attempts;
+            for (let attempt = 1; attempt <= attempts; attempt++) {
+                try {
+                    await this.player.loadVideo(url);
+                    if (this.failures[url] !== undefined) {
+                        this.log.info("load - source recovered", { url });
+                        delete this.failures[url];
+                    }
+                    this.log.info("load - playing", { id: item.id, url, source: this.describeSource(item, url), attempt });
+                    return url;
+                } catch (error) {
+                    lastError = error;
+                    this.markFailed(url);
+                    this.log.warn("load - source failed", { id: item.id, url, attempt, type: error.type || null, error: error.message });
+                    if (!isCurrent()) {
+                        throw error;
+                    }
+                    if (attempt === attempts || !this.isRetryable(error)) {
+                        break;
+                    }
+
+                    const delay = this.backoff(attempt);
+                    this.player.updateLoadStatus(`Retrying in ${Math.ceil(delay / 1000)}s...`, 'warning');
+                    await new Promise((resolve) => setTimeout(resolve, delay));
+                    if (!isCurrent()) {
+                        throw error;
+                    }
+                }
+            }
+            if (sources.length > 1) {
+                this.log.warn("load - failing over", { id: item.id, from: url });
+            }
+        }
+        throw lastError;
+    }
+
+    /**
+     * Whether trying the same source again could help; bad files and client errors fail over straight away
+     */
+    isRetryable(error) {
+        if (!(error instanceof MediaLoadError)) {
+            return true;
+        }
+        if (error.type === 'http_status') {
+            const status = error.details.status;
+            return status >= 500 || status === 408 || status === 429;
+        }
+        return error.type === 'network' || error.type === 'timeout';
+    }
+
+    /**
+     * Forget past failures, e.g. ones caused by the screen itself being offline
+     */
+    clearFailures() {
+        this.failures = {};
+    }
+
+    backoff(attempt) {
+        const delay = Math.min(this.retryBase * Math.pow(2, attempt - 1), this.retryMax) * 1000;
+        return Math.round(delay * (1 - Math.random() * FAILOVER_JITTER));
+    }
+
+    /**
+     * Where url sits in item's source list, for the status line and logs
+     */
+    describeSource(item, url) {
+        let host = url;
+        try {
+            host = new URL(url).host;
+        } catch (ignore) {}
+
+        const mirrorIndex = (item.mirrors || []).indexOf(url);
+        const role = url === item.url ? 'primary' : mirrorIndex !== -1 ? `mirror ${mirrorIndex + 1}` : 'source';
+        const cached = this.player.mediaCache.isCached(url) ? ', offline cache' : '';
+        return `${host} (${role}${cached})`;
+    }
+}
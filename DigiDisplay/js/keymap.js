@@ -0,0 +1,34 @@
+/**
+ * DigiDisplay Key Map - Tizen Web App
+ * Remote control keys and the action each one triggers. Edit this file to
+ * remap the remote for every screen; the keys.map setting overrides single
+ * keys per screen, and an empty action unmaps a key.
+ *
+ * Keys are tvinputdevice key names. Actions are listed in keys.js.
+ */
+
+const KEY_MAP = {
+    MediaPlay: 'play',
+    MediaPause: 'pause',
+    MediaPlayPause: 'playPause',
+    MediaStop: 'stop',
+    MediaFastForward: 'skipForward',
+    MediaRewind: 'skipBack',
+    ChannelUp: 'nextItem',
+    ChannelDown: 'previousItem',
+    ColorF0Red: 'toggleDebugConsole',
+    ColorF1Green: 'cycleSubtitles',
+    ColorF2Yellow: 'cycleAudio',
+    ColorF3Blue: 'reloadManifest',
+    // Number keys jump to that playlist item; 0 is the tenth
+    1: 'playItem',
+    2: 'playItem',
+    3: 'playItem',
+    4: 'playItem',
+    5: 'playItem',
+    6: 'playItem',
+    7: 'playItem',
+    8: 'playItem',
+    9: 'playItem',
+    0: 'playItem'
+};
@@ -0,0 +1,128 @@
+/**
+ * DigiDisplay Remote Keys - Tizen Web App
+ * Registers the TV's media, channel, number and colour keys with
+ * tvinputdevice and runs the action KEY_MAP (keymap.js) assigns to each.
+ *
+ * Without the tizen object (a desktop browser) nothing is registered and
+ * keys are matched by their KeyboardEvent.key name instead, which browsers
+ * report for media and colour keys too.
+ */
+
+class RemoteKeys {
+    constructor(player, options) {
+        this.log = logger.child('keys');
+        this.player = player;
+        this.map = {};          // Key name -> action name
+        this.codes = {};        // Key code -> key name, for registered keys
+        this.actions = {
+            play: () => this.player.playVideo(),
+            pause: () => this.player.pauseVideo(),
+            playPause: () => this.playPause(),
+            stop: () => this.player.stopVideo(),
+            skipForward: () => this.player.transport.skip(this.player.transport.skipShort),
+            skipBack: () => this.player.transport.skip(-this.player.transport.skipShort),
+            nextItem: () => this.player.nextItem(),
+            previousItem: () => this.player.previousItem(),
+            playItem: (keyName) => this.playItem(keyName),
+            toggleDebugConsole: () => this.player.toggleDebugConsole(),
+            cycleSubtitles: () => this.player.subtitles.cycleTextTrack(),
+            cycleAudio: () => this.player.subtitles.cycleAudioTrack(),
+            reloadManifest: () => this.reloadManifest()
+        };
+
+        const map = mergeConfig(KEY_MAP, options.map);
+        Object.keys(map).forEach((keyName) => {
+            const action = map[keyName];
+            if (!action) {
+                return;
+            }
+            if (!this.actions[action]) {
+                this.log.warn("constructor - ignoring key mapped to an unknown action", { key: keyName, action });
+                return;
+            }
+            this.map[keyName] = action;
+        });
+    }
+
+    start() {
+        this.registerKeys();
+        document.addEventListener('keydown', (e) => this.handleKeyDown(e));
+    }
+
+    /**
+     * Media, channel, number and colour keys only reach web apps once registered
+     */
+    registerKeys() {
+        if (typeof tizen === 'undefined' || !tizen.tvinputdevice) {
+            this.log.info("registerKeys - tvinputdevice unavailable, matching keys by name");
+            return;
+        }
+
+        Object.keys(this.map).forEach((keyName) => {
+            try {
+                tizen.tvinputdevice.registerKey(keyName);
+                this.codes[tizen.tvinputdevice.getKey(keyName).code] = keyName;
+            } catch (error) {
+                this.log.warn("registerKeys - key not supported by this device", { key: keyName, error: error.message });
+            }
+        });
+        this.log.debug("registerKeys", { registered: Object.keys(this.codes).length });
+    }
+
+    handleKeyDown(e) {
+        // Digits typed into a text field are text, not playlist jumps
+        if (e.target && (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA')) {
+            return;
+        }
+
+        const keyName = this.codes[e.keyCode] || e.key;
+        const action = this.map[keyName];
+        if (!action) {
+            return;
+        }
+
+        e.preventDefault();
+        this.log.debug("handleKeyDown", { key: keyName, action });
+        try {
+            const result = this.actions[action](keyName);
+            if (result && typeof result.catch === 'function') {
+                result.catch((error) => this.log.warn("handleKeyDown - action failed", { action, error: error.message }));
+            }
+        } catch (error) {
+            this.log.warn("handleKeyDown - action failed", { action, error: error.message });
+        }
+    }
+
+    playPause() {
+        const content = this.player.content;
+        const paused = content.isShowing() ? content.paused : document.getElementById('video-player').paused;
+        if (paused) {
+            this.player.playVideo();
+        } else {
+            this.player.pauseVideo();
+        }
+    }
+
+    /**
+     * Number key n plays playlist item n, with 0 standing for 10
+     */
+    playItem(keyName) {
+        const index = (Number(keyName) || 10) - 1;
+        const playlist = this.player.playlist;
+        if (index >= playlist.items.length) {
+            this.player.showNotification(`No playlist item ${index + 1}`, 'warning');
+            return;
+        }
+        // A playlist started by hand plays from here, like the playlist controls
+        return playlist.jumpTo(index);
+    }
+
+    reloadManifest() {
+        if (!this.player.manifestClient) {
+            this.player.showNotification('No manifest configured', 'warning');
+            return;
+        }
+        this.player.showNotification('Reloading manifest...', 'info');
+        return this.player.manifestClient.refresh();
+    }
+}
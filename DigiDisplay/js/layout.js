@@ -0,0 +1,356 @@
+/**
+ * DigiDisplay Layout Engine - Tizen Web App
+ * Splits the screen into named zones, each playing its own content
+ * independently of the others.
+ *
+ * Layout format (optional "layout" block of the manifest):
+ * {
+ *     "width": 1920, "height": 1080,      // Design canvas the zone rectangles refer to
+ *     "zones": [
+ *         { "id": "main", "type": "main", "x": 0, "y": 0, "width": 1440, "height": 1080 },
+ *         { "id": "menu", "type": "image", "x": 1440, "y": 0, "width": 480, "height": 960, "z": 1,
+ *           "background": "#222", "items": [{ "url": "https://cdn.example.com/menu.png", "duration": 10 }] },
+ *         { "id": "clock", "type": "clock", "x": 1440, "y": 960, "width": 480, "height": 120, "format": "24h" }
+ *     ]
+ * }
+ * The 'main' zone hosts the video player and the manifest playlist. Without a
+ * layout the main zone is the only one and the page looks as it always has.
+ * Every 'video' zone decodes one more video, which single-decoder TVs cannot
+ * spare, so they only play with layout.videoZones set; otherwise they stay
+ * empty and show their background.
+ */
+
+const ZONE_TYPES = ['main', 'video', 'image', 'clock', 'ticker'];
+const ZONE_RETRY_DELAY = 30000;     // Wait after every item of a zone has failed in a row
+
+const DEFAULT_LAYOUT = {
+    width: 1920,
+    height: 1080,
+    zones: [
+        { id: 'main', type: 'main', x: 0, y: 0, width: 1920, height: 1080 }
+    ]
+};
+
+/**
+ * Cycles through a zone's items, giving each its duration
+ */
+class ZonePlaylist {
+    constructor(zone, element) {
+        this.log = logger.child(`zone:${zone.id}`);
+        this.zone = zone;
+        this.element = element;
+        this.items = zone.items || [];
+        this.index = -1;
+        this.failures = 0;
+        this.timer = null;
+    }
+
+    start() {
+        if (this.items.length > 0) {
+            this.advance();
+        }
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    advance() {
+        clearTimeout(this.timer);
+        this.index = (this.index + 1) % this.items.length;
+        this.show(this.items[this.index]);
+    }
+
+    /**
+     * Move on after duration seconds; no duration waits for the item to end by itself
+     */
+    holdFor(duration) {
+        clearTimeout(this.timer);
+        if (duration > 0) {
+            this.timer = setTimeout(() => this.advance(), duration * 1000);
+        }
+    }
+
+    handleItemLoaded() {
+        this.failures = 0;
+    }
+
+    handleItemFailure(item, message) {
+        this.failures++;
+        this.log.warn("item failed", { url: item.url, error: message, failures: this.failures });
+        clearTimeout(this.timer);
+        // Once every item has failed in a row, back off instead of spinning
+        const delay = this.failures >= this.items.length ? ZONE_RETRY_DELAY : 1000;
+        this.timer = setTimeout(() => this.advance(), delay);
+    }
+}
+
+class ImageZone extends ZonePlaylist {
+    constructor(zone, element) {
+        super(zone, element);
+        this.image = document.createElement('img');
+        this.image.className = 'zone-image';
+        this.image.alt = '';
+        element.appendChild(this.image);
+    }
+
+    show(item) {
+        this.image.onload = () => {
+            this.handleItemLoaded();
+            this.preloadNext();
+        };
+        this.image.onerror = () => this.handleItemFailure(item, 'image failed to load');
+        this.image.src = item.url;
+        // A single image just stays up
+        this.holdFor(this.items.length > 1 ? (item.duration || 10) : 0);
+    }
+
+    /**
+     * Warm the browser cache so the next image swaps in without a blank frame
+     */
+    preloadNext() {
+        if (this.items.length > 1) {
+            new Image().src = this.items[(this.index + 1) % this.items.length].url;
+        }
+    }
+
+    stop() {
+        super.stop();
+        this.image.onload = null;
+        this.image.onerror = null;
+    }
+}
+
+/**
+ * Muted progressive videos played straight from the element; the manifest
+ * rejects HLS and DASH items here, since only the main zone streams them
+ */
+class VideoZone extends ZonePlaylist {
+    constructor(zone, element) {
+        super(zone, element);
+        this.video = document.createElement('video');
+        this.video.className = 'zone-video';
+        this.video.muted = true;    // Only the main zone plays sound
+        this.video.setAttribute('playsinline', '');
+        this.video.addEventListener('ended', () => this.advance());
+        this.video.addEventListener('playing', () => this.handleItemLoaded());
+        this.video.addEventListener('error', () => {
+            this.handleItemFailure(this.items[this.index], this.video.error ? this.video.error.message || `code ${this.video.error.code}` : 'unknown error');
+        });
+        element.appendChild(this.video);
+    }
+
+    show(item) {
+        this.video.loop = this.items.length === 1 && !item.duration;
+        this.video.src = item.url;
+        const playPromise = this.video.play();
+        if (playPromise !== undefined) {
+            playPromise.catch((error) => this.log.debug("play rejected", { error: error.message }));
+        }
+        this.holdFor(item.duration);
+    }
+
+    stop() {
+        super.stop();
+        this.video.pause();
+        this.video.removeAttribute('src');
+        this.video.load();
+    }
+}
+
+class ClockZone {
+    constructor(zone, element) {
+        this.zone = zone;
+        this.element = element;
+        this.timer = null;
+        this.timeFormat = new Intl.DateTimeFormat([], {
+            hour: '2-digit',
+            minute: '2-digit',
+            hour12: zone.format === '12h',
+            timeZone: zone.timezone || undefined
+        });
+        this.dateFormat = zone.showDate ? new Intl.DateTimeFormat([], {
+            weekday: 'short',
+            day: 'numeric',
+            month: 'short',
+            timeZone: zone.timezone || undefined
+        }) : null;
+
+        this.timeElement = document.createElement('div');
+        this.timeElement.className = 'zone-clock-time';
+        element.appendChild(this.timeElement);
+        if (this.dateFormat) {
+            this.dateElement = document.createElement('div');
+            this.dateElement.className = 'zone-clock-date';
+            element.appendChild(this.dateElement);
+        }
+    }
+
+    start() {
+        this.resize();
+        this.tick();
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+    }
+
+    tick() {
+        const now = new Date();
+        this.timeElement.textContent = this.timeFormat.format(now);
+        if (this.dateElement) {
+            this.dateElement.textContent = this.dateFormat.format(now);
+        }
+        // Tick on the minute boundary rather than drifting with a fixed interval
+        this.timer = setTimeout(() => this.tick(), 60000 - now.getSeconds() * 1000 - now.getMilliseconds() + 50);
+    }
+
+    /**
+     * Scale the text with the zone; the TV browser has no container query units
+     */
+    resize() {
+        const height = this.element.getBoundingClientRect().height;
+        this.element.style.fontSize = `${Math.max(12, Math.round(height * (this.dateElement ? 0.35 : 0.55)))}px`;
+    }
+}
+
+/**
+ * Ticker zone: a crawl of static messages or of a feed (see ticker.js)
+ */
+class TickerZone {
+    constructor(zone, element) {
+        this.zone = zone;
+        this.element = element;
+        this.crawl = new TickerCrawl(element, zone);
+        this.feed = new TickerFeed(`zone.${zone.id}`, zone);
+    }
+
+    start() {
+        this.scaleFont();
+        this.crawl.start();
+        this.feed.start((items) => this.crawl.setMessages(items));
+    }
+
+    stop() {
+        this.feed.stop();
+        this.crawl.stop();
+    }
+
+    resize() {
+        this.scaleFont();
+        this.crawl.resize();
+    }
+
+    scaleFont() {
+        const height = this.element.getBoundingClientRect().height;
+        this.element.style.fontSize = `${Math.max(12, Math.round(height * 0.6))}px`;
+    }
+}
+
+const ZONE_RENDERERS = {
+    video: VideoZone,
+    image: ImageZone,
+    clock: ClockZone,
+    ticker: TickerZone
+};
+
+class LayoutEngine {
+    constructor(player, options) {
+        this.log = logger.child('layout');
+        this.player = player;
+        this.videoZones = options.videoZones;
+        this.layout = null;
+        this.zones = [];        // { zone, element, renderer } for the applied layout
+
+        // The stage also changes size when signage mode locks or unlocks, not only with the window
+        if (typeof ResizeObserver === 'function') {
+            new ResizeObserver(() => this.resize()).observe(document.getElementById('layout-stage'));
+        } else {
+            window.addEventListener('resize', () => this.resize());
+        }
+    }
+
+    /**
+     * Render a layout definition; null restores the default one-zone layout
+     */
+    apply(layout) {
+        const next = layout || DEFAULT_LAYOUT;
+        if (this.layout && JSON.stringify(next) === JSON.stringify(this.layout)) {
+            return;
+        }
+
+        this.clear();
+        const stage = document.getElementById('layout-stage');
+        const multiZone = next.zones.length > 1;
+        stage.classList.toggle('layout-multi', multiZone);
+        stage.style.aspectRatio = multiZone ? `${next.width || DEFAULT_LAYOUT.width} / ${next.height || DEFAULT_LAYOUT.height}` : '';
+
+        next.zones.forEach((zone) => {
+            const element = zone.type === 'main' ? document.getElementById('zone-main') : this.createZoneElement(zone, stage);
+            if (multiZone) {
+                this.position(element, zone, next);
+            } else {
+                element.removeAttribute('style');
+            }
+
+            let renderer = null;
+            const Renderer = ZONE_RENDERERS[zone.type];
+            if (zone.type === 'video' && !this.videoZones) {
+                this.log.warn("apply - video zones are disabled, leaving the zone empty", { zone: zone.id });
+            } else if (Renderer) {
+                renderer = new Renderer(zone, element);
+                renderer.start();
+            }
+            this.zones.push({ zone, element, renderer });
+        });
+
+        this.layout = next;
+        this.log.info("apply - layout rendered", { zones: next.zones.map((zone) => `${zone.id}:${zone.type}`) });
+    }
+
+    /**
+     * Stop every zone's content and remove all zones but the main one
+     */
+    clear() {
+        this.zones.forEach(({ zone, element, renderer }) => {
+            if (renderer) {
+                renderer.stop();
+            }
+            if (zone.type !== 'main') {
+                element.parentNode.removeChild(element);
+            }
+        });
+        this.zones = [];
+    }
+
+    createZoneElement(zone, stage) {
+        const element = document.createElement('div');
+        element.className = `zone zone-${zone.type}`;
+        element.dataset.zone = zone.id;
+        stage.appendChild(element);
+        return element;
+    }
+
+    /**
+     * Place a zone using percentages of the design canvas, so any screen size works
+     */
+    position(element, zone, layout) {
+        const width = layout.width || DEFAULT_LAYOUT.width;
+        const height = layout.height || DEFAULT_LAYOUT.height;
+        element.style.left = `${zone.x / width * 100}%`;
+        element.style.top = `${zone.y / height * 100}%`;
+        element.style.width = `${zone.width / width * 100}%`;
+        element.style.height = `${zone.height / height * 100}%`;
+        element.style.zIndex = zone.z || 0;
+        element.style.background = zone.background || '';
+    }
+
+    resize() {
+        this.zones.forEach(({ renderer }) => {
+            if (renderer && renderer.resize) {
+                renderer.resize();
+            }
+        });
+    }
+}
@@ -0,0 +1,404 @@
+/**
+ * DigiDisplay Library - Tizen Web App
+ * Recently loaded URLs and named bookmarks, so operators pick a URL with one
+ * press instead of retyping it. History entries remember where playback
+ * stopped, and both lists can resume from there.
+ */
+
+const HISTORY_STORAGE_KEY = 'digidisplay.history';
+const BOOKMARKS_STORAGE_KEY = 'digidisplay.bookmarks';
+const POSITION_SAVE_INTERVAL = 5000;    // Milliseconds between saves of the playback position
+const RESUME_MIN_POSITION = 5;          // Seconds; closer to the start than this plays from the beginning
+
+/**
+ * Readable name for a URL: its file name without extension, else its host
+ */
+function titleFromUrl(url) {
+    try {
+        const parsed = new URL(url);
+        const file = decodeURIComponent(parsed.pathname.split('/').pop() || '');
+        const name = file.replace(/\.[a-z0-9]+$/i, '');
+        return name || parsed.hostname;
+    } catch (error) {
+        return url;
+    }
+}
+
+function loadStoredList(key) {
+    try {
+        const stored = JSON.parse(localStorage.getItem(key));
+        return Array.isArray(stored) ? stored.filter((entry) => entry && typeof entry.url === 'string') : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Successfully loaded URLs, most recent first
+ */
+class VideoHistory {
+    constructor(options) {
+        this.log = logger.child('history');
+        this.maxEntries = options.historySize;
+        this.entries = loadStoredList(HISTORY_STORAGE_KEY);
+    }
+
+    list() {
+        return this.entries;
+    }
+
+    find(url) {
+        return this.entries.find((entry) => entry.url === url) || null;
+    }
+
+    /**
+     * A URL was loaded: move it to the top and count the play
+     */
+    record(url, title) {
+        const existing = this.find(url);
+        const entry = existing || { url, title, position: 0, plays: 0 };
+        entry.title = title || entry.title;
+        entry.playedAt = Date.now();
+        entry.plays++;
+
+        this.entries = [entry].concat(this.entries.filter((other) => other !== entry)).slice(0, this.maxEntries);
+        this.save();
+        this.log.debug("record", { url, plays: entry.plays });
+    }
+
+    setPosition(url, position) {
+        const entry = this.find(url);
+        if (entry && entry.position !== position) {
+            entry.position = position;
+            this.save();
+        }
+    }
+
+    remove(url) {
+        this.entries = this.entries.filter((entry) => entry.url !== url);
+        this.save();
+    }
+
+    clear() {
+        this.entries = [];
+        this.save();
+    }
+
+    save() {
+        try {
+            localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(this.entries));
+        } catch (error) {
+            this.log.warn("save - failed to persist history", { error: error.message });
+        }
+    }
+}
+
+/**
+ * Named URLs in the order the operator arranged them
+ */
+class BookmarkList {
+    constructor() {
+        this.log = logger.child('bookmarks');
+        this.entries = loadStoredList(BOOKMARKS_STORAGE_KEY);
+    }
+
+    list() {
+        return this.entries;
+    }
+
+    has(url) {
+        return this.entries.some((entry) => entry.url === url);
+    }
+
+    add(url, title) {
+        if (this.has(url)) {
+            return false;
+        }
+        this.entries.push({ url, title, addedAt: Date.now() });
+        this.save();
+        this.log.info("add - bookmark added", { url, title });
+        return true;
+    }
+
+    rename(index, title) {
+        this.entries[index].title = title;
+        this.save();
+    }
+
+    /**
+     * Move the bookmark at index up (-1) or down (+1)
+     */
+    move(index, offset) {
+        const target = index + offset;
+        if (target < 0 || target >= this.entries.length) {
+            return false;
+        }
+        const [entry] = this.entries.splice(index, 1);
+        this.entries.splice(target, 0, entry);
+        this.save();
+        return true;
+    }
+
+    remove(index) {
+        this.entries.splice(index, 1);
+        this.save();
+    }
+
+    save() {
+        try {
+            localStorage.setItem(BOOKMARKS_STORAGE_KEY, JSON.stringify(this.entries));
+        } catch (error) {
+            this.log.warn("save - failed to persist bookmarks", { error: error.message });
+        }
+    }
+}
+
+/**
+ * The Recent and Bookmarks panels beside the Load Video section
+ */
+class LibraryPanel {
+    constructor(player, options) {
+        this.log = logger.child('library');
+        this.player = player;
+        this.history = new VideoHistory(options);
+        this.bookmarks = new BookmarkList();
+        this.lastPositionSave = 0;
+    }
+
+    start() {
+        const deck = this.player.deck;
+        deck.listen('timeupdate', () => {
+            if (Date.now() - this.lastPositionSave >= POSITION_SAVE_INTERVAL) {
+                this.savePosition();
+            }
+        });
+        deck.listen('pause', () => this.savePosition());
+        deck.listen('ended', () => {
+            // Finished videos start over next time
+            if (this.player.currentVideo) {
+                this.history.setPosition(this.player.currentVideo, 0);
+                this.render();
+            }
+        });
+
+        document.getElementById('bookmark-btn').addEventListener('click', () => this.bookmarkCurrent());
+        document.getElementById('history-clear-btn').addEventListener('click', () => {
+            this.history.clear();
+            this.render();
+        });
+        this.render();
+    }
+
+    /**
+     * loadVideo succeeded for url
+     */
+    recordLoad(url) {
+        const item = this.player.playlist.findCurrentItem(url);
+        const title = item && item.title ? item.title : titleFromUrl(url);
+        this.history.record(url, title);
+        this.render();
+    }
+
+    savePosition() {
+        const video = document.getElementById('video-player');
+        const url = this.player.currentVideo;
+        // While loading, the element is being reset for the next URL and its position means nothing
+        if (!url || this.player.isLoading || this.player.content.isShowing()) {
+            return;
+        }
+        this.lastPositionSave = Date.now();
+        // Live streams have no position to come back to
+        const position = isFinite(video.duration) ? Math.floor(video.currentTime) : 0;
+        const before = this.history.find(url);
+        const hadResume = before && before.position >= RESUME_MIN_POSITION;
+        this.history.setPosition(url, position);
+        if (hadResume !== position >= RESUME_MIN_POSITION) {
+            this.render();
+        }
+    }
+
+    getResumePosition(url) {
+        const entry = this.history.find(url);
+        return entry && entry.position >= RESUME_MIN_POSITION ? entry.position : 0;
+    }
+
+    /**
+     * Bookmark the URL in the input, or else the one playing
+     */
+    bookmarkCurrent() {
+        const url = document.getElementById('video-url').value.trim() || this.player.currentVideo;
+        if (!url || !this.player.isValidItemUrl(url, detectContentType(url))) {
+            this.player.showNotification('Enter or play a URL to bookmark', 'warning');
+            return;
+        }
+        const entry = this.history.find(url);
+        if (!this.bookmarks.add(url, entry ? entry.title : titleFromUrl(url))) {
+            this.player.showNotification('Already bookmarked', 'info');
+            return;
+        }
+        this.player.showNotification('Bookmark added', 'success');
+        this.render();
+    }
+
+    /**
+     * One-press load of a listed URL, from the start or from where it stopped
+     */
+    async open(url, resume) {
+        const position = resume ? this.getResumePosition(url) : 0;
+        document.getElementById('video-url').value = url;
+        await this.player.openUrl(url, { play: true, position });
+    }
+
+    render() {
+        // Lists are rebuilt, so remember which control had focus and return to it
+        const focused = document.activeElement && document.activeElement.dataset
+            ? document.activeElement.dataset.focusKey
+            : null;
+
+        this.renderHistory();
+        this.renderBookmarks();
+
+        if (focused) {
+            const target = Array.from(document.querySelectorAll('[data-focus-key]'))
+                .find((element) => element.dataset.focusKey === focused);
+            // A bookmark moved to the end of the list has its move button disabled; stay on its row
+            if (target && target.disabled) {
+                target.parentNode.querySelector('.library-title').focus();
+            } else if (target) {
+                target.focus();
+            }
+        }
+    }
+
+    renderHistory() {
+        const listElement = document.getElementById('history-list');
+        const entries = this.history.list();
+        listElement.innerHTML = '';
+        document.getElementById('history-clear-btn').disabled = entries.length === 0;
+        if (entries.length === 0) {
+            listElement.appendChild(this.createEmptyRow('Loaded URLs appear here'));
+            return;
+        }
+
+        entries.forEach((entry) => {
+            const row = this.createRow(entry, `history:${entry.url}`);
+            const details = document.createElement('span');
+            details.className = 'library-details';
+            details.textContent = `${new Date(entry.playedAt).toLocaleString()} · played ${entry.plays}×`;
+            row.appendChild(details);
+            listElement.appendChild(row);
+        });
+    }
+
+    renderBookmarks() {
+        const listElement = document.getElementById('bookmark-list');
+        const entries = this.bookmarks.list();
+        listElement.innerHTML = '';
+        if (entries.length === 0) {
+            listElement.appendChild(this.createEmptyRow('Press Bookmark to keep a URL here'));
+            return;
+        }
+
+        entries.forEach((entry, index) => {
+            const key = `bookmark:${entry.url}`;
+            const row = this.createRow(entry, key);
+            row.appendChild(this.createButton('▲', `${key}:up`, index === 0, () => this.moveBookmark(index, -1)));
+            row.appendChild(this.createButton('▼', `${key}:down`, index === entries.length - 1, () => this.moveBookmark(index, 1)));
+            row.appendChild(this.createButton('Rename', `${key}:rename`, false, () => this.startRename(row, index)));
+            row.appendChild(this.createButton('✕', `${key}:remove`, false, () => {
+                this.bookmarks.remove(index);
+                this.render();
+            }));
+            listElement.appendChild(row);
+        });
+    }
+
+    /**
+     * Row with the load button and, when there is a position to go back to, resume
+     */
+    createRow(entry, key) {
+        const row = document.createElement('li');
+        row.className = 'library-row';
+        const thumbnail = this.player.thumbnails.get(entry.url);
+        if (thumbnail) {
+            const image = document.createElement('img');
+            image.className = 'list-thumbnail';
+            image.src = thumbnail;
+            row.appendChild(image);
+        } else {
+            this.player.thumbnails.request(entry.url).then((data) => data && this.render());
+        }
+
+        const load = this.createButton(entry.title || titleFromUrl(entry.url), `${key}:load`, false, () => this.open(entry.url, false));
+        load.classList.add('library-title');
+        load.title = entry.url;
+        row.appendChild(load);
+
+        const position = this.getResumePosition(entry.url);
+        if (position > 0) {
+            row.appendChild(this.createButton(`Resume ${formatPlaybackTime(position)}`, `${key}:resume`, false, () => this.open(entry.url, true)));
+        }
+        return row;
+    }
+
+    createButton(text, focusKey, disabled, onClick) {
+        const button = document.createElement('button');
+        button.className = 'btn btn-library';
+        button.textContent = text;
+        button.dataset.focusKey = focusKey;
+        button.disabled = disabled;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    createEmptyRow(text) {
+        const row = document.createElement('li');
+        row.className = 'library-empty';
+        row.textContent = text;
+        return row;
+    }
+
+    moveBookmark(index, offset) {
+        if (this.bookmarks.move(index, offset)) {
+            this.render();
+        }
+    }
+
+    /**
+     * Swap the title for a text field: Enter saves, Escape or leaving it cancels
+     */
+    startRename(row, index) {
+        const entry = this.bookmarks.list()[index];
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'url-input library-rename';
+        input.value = entry.title;
+        input.dataset.focusKey = `bookmark:${entry.url}:load`;
+
+        let done = false;
+        const finish = (save) => {
+            if (done) {
+                return;
+            }
+            done = true;
+            const title = input.value.trim();
+            if (save && title) {
+                this.bookmarks.rename(index, title);
+            }
+            this.render();
+        };
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                finish(true);
+            } else if (e.key === 'Escape') {
+                finish(false);
+            }
+        });
+        input.addEventListener('blur', () => finish(false));
+
+        row.replaceChild(input, row.querySelector('.library-title'));
+        input.focus();
+        input.select();
+    }
+}
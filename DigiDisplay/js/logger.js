@@ -0,0 +1,272 @@
+/**
+ * DigiDisplay Logger - Tizen Web App
+ * Leveled, component-tagged logging with structured fields.
+ * Entries are kept in a ring buffer and fanned out to switchable sinks:
+ * the on-screen debug console, local storage and an HTTP upload endpoint.
+ *
+ * Never log through console.* - it freezes the app on Samsung TVs.
+ */
+
+const LOG_LEVELS = { trace: 0, debug: 1, info: 2, warn: 3, error: 4 };
+const LOG_STORAGE_KEY = 'digidisplay.log';
+
+/**
+ * Format an entry as a single line of text
+ */
+function formatLogEntry(entry) {
+    const fields = Object.keys(entry.fields || {}).map((key) => {
+        const value = entry.fields[key];
+        return `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`;
+    });
+    return [
+        new Date(entry.time).toISOString(),
+        entry.level.toUpperCase().padEnd(5),
+        `[${entry.component}]`,
+        entry.message
+    ].concat(fields).join(' ');
+}
+
+/**
+ * Writes entries into the #debug console, creating a fixed one if the page has none
+ */
+class ScreenLogSink {
+    constructor(options) {
+        this.maxLines = options.maxLines;
+    }
+
+    write(entry) {
+        if (!document.body) {
+            return;
+        }
+
+        let el = document.getElementById("debug");
+        if (!el) {
+            // If debug console doesn't exist, create a temporary one
+            el = document.createElement("div");
+            el.id = "debug";
+            el.style.cssText = "position:fixed;bottom:0;left:0;width:100%;height:90px;overflow-y:auto;background:black;color:lime;font-size:14px;z-index:9999;padding:4px;border-top:2px solid lime;";
+            document.body.appendChild(el);
+        }
+
+        const msgDiv = document.createElement("div");
+        msgDiv.textContent = formatLogEntry(entry);
+        msgDiv.className = `log-entry log-${entry.level}`;
+        el.appendChild(msgDiv);
+
+        // Limit the number of lines to prevent memory issues
+        while (el.children.length > this.maxLines) {
+            el.removeChild(el.firstChild);
+        }
+
+        // Auto-scroll to bottom to show latest message
+        el.scrollTop = el.scrollHeight;
+
+        // Update scroll button states if they exist
+        if (window.videoPlayer && typeof window.videoPlayer.updateDebugScrollButtons === 'function') {
+            window.videoPlayer.updateDebugScrollButtons();
+        }
+    }
+}
+
+/**
+ * Persists the logger's ring buffer to local storage, batching writes
+ */
+class StorageLogSink {
+    constructor(logger) {
+        this.logger = logger;
+        this.flushTimer = null;
+    }
+
+    write() {
+        if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => this.flush(), 1000);
+        }
+    }
+
+    flush() {
+        this.flushTimer = null;
+        try {
+            localStorage.setItem(LOG_STORAGE_KEY, JSON.stringify(this.logger.entries));
+        } catch (error) {
+            // Storage is full or unavailable; the in-memory buffer still has the entries
+        }
+    }
+
+    static load() {
+        try {
+            return JSON.parse(localStorage.getItem(LOG_STORAGE_KEY)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+}
+
+/**
+ * Uploads batches of entries to a collection endpoint, keeping them on failure
+ */
+class HttpLogSink {
+    constructor(options) {
+        this.url = options.url;
+        this.minLevel = LOG_LEVELS[options.level];
+        this.batchSize = options.batchSize;
+        this.queue = [];
+        this.uploading = false;
+        this.timer = setInterval(() => this.upload(), options.interval * 1000);
+    }
+
+    write(entry) {
+        if (LOG_LEVELS[entry.level] < this.minLevel) {
+            return;
+        }
+        this.queue.push(entry);
+        // Bound the backlog while the endpoint is unreachable
+        if (this.queue.length > this.batchSize * 10) {
+            this.queue.splice(0, this.queue.length - this.batchSize * 10);
+        }
+    }
+
+    async upload() {
+        if (this.uploading || this.queue.length === 0 || !this.url) {
+            return;
+        }
+
+        this.uploading = true;
+        const batch = this.queue.slice(0, this.batchSize);
+        try {
+            const response = await fetch(this.url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ entries: batch })
+            });
+            if (response.ok) {
+                this.queue.splice(0, batch.length);
+            }
+        } catch (error) {
+            // Keep the batch for the next interval
+        } finally {
+            this.uploading = false;
+        }
+    }
+
+    close() {
+        clearInterval(this.timer);
+    }
+}
+
+class Logger {
+    constructor() {
+        this.level = LOG_LEVELS.debug;
+        this.bufferSize = 500;
+        this.entries = StorageLogSink.load();
+        this.sinks = { screen: new ScreenLogSink({ maxLines: 200 }) };
+    }
+
+    /**
+     * Apply the logging section of the app configuration
+     */
+    configure(options) {
+        this.level = LOG_LEVELS[options.level] !== undefined ? LOG_LEVELS[options.level] : LOG_LEVELS.debug;
+        this.bufferSize = options.bufferSize;
+        this.entries = this.entries.slice(-this.bufferSize);
+
+        Object.keys(this.sinks).forEach((name) => this.setSinkEnabled(name, false));
+        this.sinkOptions = options.sinks;
+        Object.keys(options.sinks).forEach((name) => this.setSinkEnabled(name, options.sinks[name].enabled));
+    }
+
+    /**
+     * Switch a sink ('screen', 'storage' or 'http') on or off at runtime
+     */
+    setSinkEnabled(name, enabled) {
+        const existing = this.sinks[name];
+        if (!enabled) {
+            if (existing && existing.close) {
+                existing.close();
+            }
+            if (existing && existing.flush) {
+                existing.flush();
+            }
+            delete this.sinks[name];
+            return;
+        }
+        if (existing) {
+            return;
+        }
+
+        const options = (this.sinkOptions || {})[name] || {};
+        if (name === 'screen') {
+            this.sinks.screen = new ScreenLogSink({ maxLines: options.maxLines || 200 });
+        } else if (name === 'storage') {
+            this.sinks.storage = new StorageLogSink(this);
+        } else if (name === 'http') {
+            this.sinks.http = new HttpLogSink(options);
+        }
+    }
+
+    setLevel(level) {
+        if (LOG_LEVELS[level] !== undefined) {
+            this.level = LOG_LEVELS[level];
+        }
+    }
+
+    log(level, component, message, fields) {
+        if (LOG_LEVELS[level] < this.level) {
+            return;
+        }
+
+        const entry = { time: Date.now(), level, component, message: String(message) };
+        if (fields && Object.keys(fields).length > 0) {
+            entry.fields = fields;
+        }
+
+        this.entries.push(entry);
+        if (this.entries.length > this.bufferSize) {
+            this.entries.shift();
+        }
+
+        Object.keys(this.sinks).forEach((name) => {
+            try {
+                this.sinks[name].write(entry);
+            } catch (error) {
+                // A failing sink must never take down the caller
+            }
+        });
+    }
+
+    trace(component, message, fields) { this.log('trace', component, message, fields); }
+    debug(component, message, fields) { this.log('debug', component, message, fields); }
+    info(component, message, fields) { this.log('info', component, message, fields); }
+    warn(component, message, fields) { this.log('warn', component, message, fields); }
+    error(component, message, fields) { this.log('error', component, message, fields); }
+
+    /**
+     * Logger bound to one component tag: log.info('message', { field: value })
+     */
+    child(component) {
+        const child = {};
+        Object.keys(LOG_LEVELS).forEach((level) => {
+            child[level] = (message, fields) => this.log(level, component, message, fields);
+        });
+        return child;
+    }
+
+    /**
+     * Export the ring buffer as 'json' or 'text'
+     */
+    export(format = 'json') {
+        if (format === 'text') {
+            return this.entries.map(formatLogEntry).join('\n');
+        }
+        return JSON.stringify(this.entries);
+    }
+
+    clear() {
+        this.entries = [];
+        if (this.sinks.storage) {
+            this.sinks.storage.flush();
+        }
+    }
+}
+
+// Global logger - accessible everywhere, configured once the app config is loaded
+const logger = new Logger();
@@ -1,35 +1,3 @@
-// Global debug function - accessible everywhere
-function debug(msg) {
-    let el = document.getElementById("debug");
-    if (!el) {
-        // If debug console doesn't exist, create a temporary one
-        el = document.createElement("div");
-        el.id = "debug";
-        el.style.cssText = "position:fixed;bottom:0;left:0;width:100%;height:90px;overflow-y:auto;background:black;color:lime;font-size:14px;z-index:9999;padding:4px;border-top:2px solid lime;";
-        document.body.appendChild(el);
-    }
-    
-    // Create new debug message div
-    const msgDiv = document.createElement("div");
-    msgDiv.textContent = String(msg);
-    msgDiv.style.marginBottom = "2px";
-    el.appendChild(msgDiv);
-    
-    // Limit to maximum 200 debug messages to prevent memory issues
-    const maxMessages = 200;
-    while (el.children.length > maxMessages) {
-        el.removeChild(el.firstChild);
-    }
-    
-    // Auto-scroll to bottom to show latest message
-    el.scrollTop = el.scrollHeight;
-    
-    // Update scroll button states if they exist
-    if (window.videoPlayer && typeof window.videoPlayer.updateDebugScrollButtons === 'function') {
-        window.videoPlayer.updateDebugScrollButtons();
-    }
-}
-
 /**
  * DigiDisplay Video Player - Tizen Web App
  * Simple video player that loads and plays videos directly from URLs
@@ -40,39 +8,201 @@ class VideoPlayer {
         this.currentVideo = null;
         this.isLoading = false;
         this.userInitiatedPause = false; // Track if pause was user-initiated
+        this.playbackRequested = false; // Whether playback should currently be progressing
+        this.pendingPlay = null; // canplay/playing listeners of a playWhenReady still waiting
+        this.appLog = logger.child('app');
+        this.loaderLog = logger.child('loader');
+        this.playbackLog = logger.child('playback');
+        this.uiLog = logger.child('ui');
+        this.config = loadAppConfig();
+        logger.configure(this.config.logging);
+        this.settings = new SettingsStore({ logLevel: this.config.logging.level });
+        logger.setLevel(this.settings.get('logLevel'));
+        this.mediaCache = new MediaCache(this, this.config.cache);
+        this.layout = new LayoutEngine(this, this.config.layout);
+        this.content = new ContentPresenter(this, this.config.content);
+        this.ticker = new TickerOverlay(this, this.config.ticker);
+        this.subtitles = new SubtitleManager(this, this.config.subtitles);
+        this.transport = new TransportBar(this, this.config.transport);
+        this.remoteKeys = new RemoteKeys(this, this.config.keys);
+        this.navigation = new SpatialNavigation();
+        this.settingsPage = new SettingsPage(this, this.settings);
+        this.library = new LibraryPanel(this, this.config.library);
+        this.thumbnails = new ThumbnailGenerator(this, this.config.metadata.thumbnails);
+        this.videoInfo = new VideoInfoPanel(this, this.config.metadata);
+        this.deck = new VideoDeck(this, this.config.gapless);
+        this.preflight = new MediaPreflight(this, this.config.preflight);
+        this.failover = new SourceFailover(this, this.config.failover);
+        this.connectivity = new ConnectivityMonitor(this, this.config.connectivity);
+        this.provisioning = new DeviceProvisioning(this, this.config.provisioning);
+        this.streamer = null; // AdaptiveStreamer for the current HLS/DASH source
+        this.playlist = new Playlist(this);
+        this.scheduler = new Scheduler(this, this.config.schedule);
+        this.manifestClient = null;
+        this.watchdog = new PlaybackWatchdog(this, this.config.watchdog);
+        this.proofOfPlay = new ProofOfPlayRecorder(this, this.config.proofOfPlay);
+        this.signage = new SignageMode(this, this.config.display);
+        this.remoteControl = new RemoteControl(this, this.config.remote);
         
         this.initializeApp();
     }
 
-    /**
-     * Debug function accessible within the class
-     */
-    debug(msg) {
-        debug(msg); // Call the global debug function
-    }
-
     /**
      * Initialize the application
      */
     async initializeApp() {
         try {
+            // Lock the screen down before anything else is shown
+            this.signage.start();
+
             this.showLoadingOverlay('Initializing...');
             
             // Setup event listeners
             this.setupEventListeners();
-            this.debug("Set up event listeners");
+            this.appLog.debug("Set up event listeners");
+            this.applySettings();
+
+            // Single-video screen until a manifest brings a layout
+            this.layout.apply(null);
+            this.ticker.start();
+            this.subtitles.start();
+            this.transport.start();
+            this.remoteKeys.start();
+
+            this.updateCacheStatus();
+            this.mediaCache.onChange(() => this.updateCacheStatus());
             
             // Update app status
             this.updateAppStatus('Ready to play videos');
             
             this.hideLoadingOverlay();
             this.showNotification('Application initialized successfully', 'success');
+
+            this.connectivity.onChange((state, previous) => this.handleConnectivityChange(state, previous));
+            this.connectivity.start();
+
+            // A screen nobody has claimed yet waits in the wizard for its configuration
+            if (this.provisioning.start()) {
+                return;
+            }
+
+            // Remote content manifest, when one is configured
+            this.startManifestClient();
+            this.resumeLastUrl();
+
+            this.watchdog.start();
+            this.proofOfPlay.start();
+            this.remoteControl.start();
             
         } catch (error) {
             this.hideLoadingOverlay();
             this.showNotification(`Initialization failed: ${error.message}`, 'error');
-            // console.error('Initialization error:', error);
+            this.appLog.error("Initialization failed", { error: error.message });
+        }
+    }
+
+    /**
+     * Restore the stored settings and keep the app in step with changes to them
+     */
+    applySettings() {
+        Object.keys(this.settings.getAll()).forEach((key) => this.applySetting(key, this.settings.get(key)));
+        document.getElementById('video-url').value = this.settings.get('lastUrl');
+        this.settings.onChange((key, value) => this.applySetting(key, value));
+    }
+
+    applySetting(key, value) {
+        if (key === 'volume') {
+            this.deck.getElements().forEach((video) => {
+                video.volume = value / 100;
+            });
+            document.getElementById('volume-slider').value = value;
+        } else if (key === 'debugConsole') {
+            document.getElementById('debug-section').classList.toggle('debug-hidden', !value);
+        } else if (key === 'logLevel') {
+            logger.setLevel(value);
+        }
+    }
+
+    /**
+     * With autoplay on, a screen without a manifest picks up the last URL it played
+     */
+    resumeLastUrl() {
+        const lastUrl = this.settings.get('lastUrl');
+        if (this.manifestClient || !this.settings.get('autoplay') || !lastUrl) {
+            return;
+        }
+        this.appLog.info("Resuming the last URL", { url: lastUrl });
+        this.handleLoadVideo();
+    }
+
+    /**
+     * Back online after being offline: retry what failed meanwhile
+     */
+    handleConnectivityChange(state, previous) {
+        if (previous !== 'offline' || state === 'offline') {
+            return;
         }
+        // Sources that failed while the screen was offline were not at fault
+        this.failover.clearFailures();
+        if (this.manifestClient) {
+            this.manifestClient.refresh().catch(error => {
+                this.appLog.warn("Manifest refresh after reconnecting failed", { error: error.message });
+            });
+        }
+        this.resumeAfterReconnect();
+    }
+
+    /**
+     * Pick up the current item where it stopped when the network went away
+     */
+    resumeAfterReconnect() {
+        if (this.isLoading || this.playlist.retryNow()) {
+            return;
+        }
+        const videoPlayer = document.getElementById('video-player');
+        if (!this.currentVideo || !this.playbackRequested || this.content.isShowing()) {
+            return;
+        }
+        if (!videoPlayer.error && videoPlayer.readyState >= 3) { // HAVE_FUTURE_DATA or higher
+            if (videoPlayer.paused) {
+                this.playVideo();
+            }
+            return;
+        }
+
+        const url = this.currentVideo;
+        const position = videoPlayer.currentTime;
+        this.appLog.info("Reloading the current video after reconnecting", { url, position });
+        if (this.playlist.active && this.playlist.findCurrentItem(url)) {
+            // The playlist reloads through failover, so a failed mirror gives way to the preferred source
+            this.playlist.reloadCurrent(position).catch(error => {
+                this.appLog.error("Reload after reconnecting failed", { url, error: error.message });
+            });
+            return;
+        }
+        this.loadVideo(url).then(() => {
+            if (position > 0) {
+                document.getElementById('video-player').currentTime = position;
+            }
+            this.playWhenReady();
+        }).catch(error => {
+            this.appLog.error("Reload after reconnecting failed", { url, error: error.message });
+        });
+    }
+
+    /**
+     * Start polling the configured content manifest
+     */
+    startManifestClient() {
+        if (!this.config.manifest.url) {
+            this.appLog.info("No manifest URL configured - manifest client disabled");
+            return;
+        }
+
+        this.manifestClient = new ManifestClient(this, this.config.manifest);
+        this.manifestClient.start().catch(error => {
+            this.appLog.error("Manifest client failed to start", { error: error.message });
+        });
     }
 
     /**
@@ -82,6 +212,15 @@ class VideoPlayer {
         // Tizen hardware key handling
         document.addEventListener('tizenhwkey', (e) => {
         if (e.keyName === "back") {
+            if (this.settingsPage.isOpen()) {
+                this.settingsPage.close();
+                return;
+            }
+            // Signage screens must never be exited from the remote
+            if (this.signage.enabled) {
+                this.signage.handleBackKey();
+                return;
+            }
             try {
                 tizen.application.getCurrentApplication().exit();
             } catch (ignore) {}
@@ -103,69 +242,126 @@ class VideoPlayer {
         const playBtn = document.getElementById('play-btn');
         const pauseBtn = document.getElementById('pause-btn');
         const stopBtn = document.getElementById('stop-btn');
+        const prevBtn = document.getElementById('prev-btn');
+        const nextBtn = document.getElementById('next-btn');
+        const subtitlesBtn = document.getElementById('subtitles-btn');
+        const audioBtn = document.getElementById('audio-btn');
         const volumeSlider = document.getElementById('volume-slider');
-        const videoPlayer = document.getElementById('video-player');
 
         playBtn.addEventListener('click', () => this.playVideo());
         pauseBtn.addEventListener('click', () => this.pauseVideo());
         stopBtn.addEventListener('click', () => this.stopVideo());
-        volumeSlider.addEventListener('input', (e) => this.setVolume(e.target.value));
+        prevBtn.addEventListener('click', () => this.previousItem());
+        nextBtn.addEventListener('click', () => this.nextItem());
+        subtitlesBtn.addEventListener('click', () => this.subtitles.cycleTextTrack());
+        audioBtn.addEventListener('click', () => this.subtitles.cycleAudioTrack());
+        // Heard while dragging, stored once the slider is released
+        volumeSlider.addEventListener('input', (e) => this.previewVolume(e.target.value));
+        volumeSlider.addEventListener('change', (e) => this.setVolume(e.target.value));
 
-        // Video player events
-        videoPlayer.addEventListener('loadstart', () => {
-            this.debug("Video loadstart event");
+        // Video player events, from whichever of the deck's two elements is on screen
+        this.deck.listen('loadstart', () => {
+            this.playbackLog.debug("Video loadstart event");
             this.updatePlaybackStatus('Loading video...', 'info');
         });
-        videoPlayer.addEventListener('loadedmetadata', () => {
-            this.debug("Video loadedmetadata event");
-            this.debug("Video duration: " + videoPlayer.duration + " seconds");
+        this.deck.listen('loadedmetadata', (e) => {
+            this.playbackLog.debug("Video loadedmetadata event");
+            this.playbackLog.debug("Video duration", { duration: e.target.duration });
         });
-        videoPlayer.addEventListener('loadeddata', () => {
-            this.debug("Video loadeddata event");
+        this.deck.listen('loadeddata', () => {
+            this.playbackLog.debug("Video loadeddata event");
         });
-        videoPlayer.addEventListener('canplay', () => {
-            this.debug("Video canplay event - ready to play");
+        this.deck.listen('canplay', () => {
+            this.playbackLog.debug("Video canplay event - ready to play");
             this.updatePlaybackStatus('Ready to play', 'success');
         });
-        videoPlayer.addEventListener('canplaythrough', () => {
-            this.debug("Video canplaythrough event - can play without buffering");
+        this.deck.listen('canplaythrough', () => {
+            this.playbackLog.debug("Video canplaythrough event - can play without buffering");
         });
-        videoPlayer.addEventListener('error', (e) => {
-            this.debug("Video error event: " + JSON.stringify(e));
+        this.deck.listen('error', (e) => {
+            this.playbackLog.debug("Video error event", { type: e.type });
             this.handleVideoError(e);
         });
-        videoPlayer.addEventListener('ended', () => {
-            this.debug("Video ended event");
-            this.updatePlaybackStatus('Video ended', 'info');
+        this.deck.listen('ended', () => {
+            this.playbackLog.debug("Video ended event");
+            this.handleItemFinished('Video ended');
         });
-        videoPlayer.addEventListener('playing', () => {
-            this.debug("Video playing event");
+        this.deck.listen('playing', () => {
+            this.playbackLog.info("Video playing event", { url: this.currentVideo });
             this.userInitiatedPause = false; // Reset flag when playing
+            this.handleItemStarted(this.currentVideo);
             this.updatePlaybackStatus('Playing', 'success');
         });
-        videoPlayer.addEventListener('pause', () => {
-            this.debug("Video pause event - user initiated: " + this.userInitiatedPause);
+        this.deck.listen('pause', () => {
+            this.playbackLog.debug("Video pause event", { userInitiated: this.userInitiatedPause });
+            this.proofOfPlay.onPause();
             if (this.userInitiatedPause) {
                 this.updatePlaybackStatus('Paused', 'info');
                 this.userInitiatedPause = false; // Reset flag
             } else {
-                this.debug("Video pause event ignored (automatic pause)");
+                this.playbackLog.debug("Video pause event ignored (automatic pause)");
             }
         });
-        videoPlayer.addEventListener('waiting', () => {
-            this.debug("Video waiting event - buffering");
+        this.deck.listen('waiting', () => {
+            this.playbackLog.debug("Video waiting event - buffering");
+            this.watchdog.noteEvent('waiting');
+            // Buffering is not airtime
+            this.proofOfPlay.onPause();
             this.updatePlaybackStatus('Buffering...', 'info');
         });
-        videoPlayer.addEventListener('stalled', () => {
-            this.debug("Video stalled event - network issue");
+        this.deck.listen('stalled', (e) => {
+            this.playbackLog.warn("Video stalled event - network issue", { currentTime: e.target.currentTime });
+            this.watchdog.noteEvent('stalled');
             this.updatePlaybackStatus('Network issue - stalled', 'warning');
         });
 
+        // Image, HTML and web page items report in the same way as the video element
+        const contentStage = document.getElementById('content-stage');
+        contentStage.addEventListener('started', (e) => {
+            this.playbackLog.info("Content started event", e.detail);
+            this.handleItemStarted(e.detail.url);
+            this.updatePlaybackStatus(`Showing ${e.detail.type}`, 'success');
+        });
+        contentStage.addEventListener('finished', (e) => {
+            this.playbackLog.debug("Content finished event", e.detail);
+            this.handleItemFinished(`Finished showing ${e.detail.type}`);
+        });
+
+        // Offline cache controls
+        const purgeCacheBtn = document.getElementById('purge-cache-btn');
+        purgeCacheBtn.addEventListener('click', () => this.purgeCache());
+
         // Debug console scroll buttons
         this.setupDebugScrollButtons();
 
         // Focus management for TV remote
-        this.setupFocusManagement();
+        this.navigation.start();
+
+        // Settings page
+        this.settingsPage.start();
+
+        // Recent and bookmarked URLs
+        this.library.start();
+    }
+
+    /**
+     * Playback of the current item (video or other content) has started
+     */
+    handleItemStarted(url) {
+        this.proofOfPlay.onPlaying(url);
+        this.playlist.handlePlaying();
+    }
+
+    /**
+     * The current item (video or other content) has played through
+     */
+    handleItemFinished(message) {
+        this.proofOfPlay.onEnded();
+        if (this.playlist.active) {
+            this.playlist.handleEnded();
+        } else {
+            this.updatePlaybackStatus(message, 'info');
+        }
     }
 
     /**
@@ -197,6 +393,15 @@ class VideoPlayer {
         }
     }
 
+    /**
+     * Show or hide the debug console
+     */
+    toggleDebugConsole() {
+        const visible = !this.settings.get('debugConsole');
+        this.uiLog.debug("toggleDebugConsole", { visible });
+        this.settings.set('debugConsole', visible);
+    }
+
     /**
      * Update debug scroll button states
      */
@@ -214,47 +419,36 @@ class VideoPlayer {
         }
     }
 
-    /**
-     * Setup focus management for TV remote navigation
-     */
-    setupFocusManagement() {
-        const focusableElements = document.querySelectorAll('button, input, [tabindex]');
-        let currentFocusIndex = 0;
-
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'ArrowDown' || e.key === 'ArrowRight') {
-                e.preventDefault();
-                currentFocusIndex = (currentFocusIndex + 1) % focusableElements.length;
-                focusableElements[currentFocusIndex].focus();
-            } else if (e.key === 'ArrowUp' || e.key === 'ArrowLeft') {
-                e.preventDefault();
-                currentFocusIndex = currentFocusIndex === 0 ? focusableElements.length - 1 : currentFocusIndex - 1;
-                focusableElements[currentFocusIndex].focus();
-            }
-        });
-    }
-
     /**
      * Handle video loading
      */
     async handleLoadVideo() {
-        this.debug("In handleLoadVideo");
+        this.loaderLog.debug("In handleLoadVideo");
         const urlInput = document.getElementById('video-url');
         const url = urlInput.value.trim();
 
         if (!url) {
-            this.debug("handleLoadVideo - Please enter a video URL");
+            this.loaderLog.debug("handleLoadVideo - Please enter a video URL");
             this.showNotification('Please enter a video URL', 'warning');
             return;
         }
 
-        if (!this.isValidUrl(url)) {
-             this.debug("handleLoadVideo - Please enter a valid URL ending with .mp4 or with no extension");
-            this.showNotification('Please enter a valid URL ending with .mp4 or with no extension', 'error');
+        await this.openUrl(url, { play: this.settings.get('autoplay') });
+    }
+
+    /**
+     * Load a URL by hand, replacing the playlist; videos can start playing
+     * right away, from position seconds in
+     */
+    async openUrl(url, { play = false, position = 0 } = {}) {
+        const type = detectContentType(url);
+        if (!this.isValidItemUrl(url, type)) {
+            this.loaderLog.warn("openUrl - Please enter a valid video URL (.mp4, .m3u8, .mpd or no extension), image or HTML URL", { url });
+            this.showNotification('Please enter a valid video URL (.mp4, .m3u8, .mpd or no extension), image or HTML URL', 'error');
             return;
         }
 
-        // Now validates that URLs end with .mp4 extension or have no extension
+        // Now validates video URLs (.mp4, .m3u8, .mpd or no extension), images and HTML pages
 
         if (this.isLoading) {
             this.showNotification('Video loading already in progress', 'warning');
@@ -262,12 +456,35 @@ class VideoPlayer {
         }
 
         try {
-            this.debug("handleLoadVideo - Loading video from URL: " + url);
-            await this.loadVideo(url);
+            await this.loadUrl(url, { type, play, position });
         } catch (error) {
-            this.debug("handleLoadVideo - Failed to load video " + error.message);
-            this.showNotification(`Failed to load video: ${error.message}`, 'error');
-            // console.error('Load error:', error);
+            this.loaderLog.error("openUrl - Failed to load video", { url, type: error.type || null, error: error.message });
+            this.showNotification(`Failed to load video: ${describeLoadError(error)}`, 'error');
+        }
+    }
+
+    /**
+     * Load a checked URL by hand (from the URL input, the library or the remote
+     * controller), replacing the playlist. Throws when loading fails
+     */
+    async loadUrl(url, { type, play = false, position = 0 }) {
+        // A manually entered URL takes over from the playlist
+        this.playlist.stop();
+        this.playbackRequested = false;
+        if (type !== 'video') {
+            this.loaderLog.info("loadUrl - Showing content from URL", { url, type });
+            await this.showContentItem({ url, type, duration: null });
+            this.settings.set('lastUrl', url);
+            return;
+        }
+        this.loaderLog.info("loadUrl - Loading video from URL", { url, position });
+        await this.loadVideo(url);
+        if (position > 0) {
+            document.getElementById('video-player').currentTime = position;
+        }
+        this.settings.set('lastUrl', url);
+        if (play) {
+            this.playWhenReady();
         }
     }
 
@@ -275,52 +492,76 @@ class VideoPlayer {
      * Load video from URL
      */
     async loadVideo(url) {
-        this.debug("In loadVideo. URL is " + url);
+        this.loaderLog.debug("In loadVideo", { url });
         this.isLoading = true;
+        this.cancelPlayWhenReady();
+        this.proofOfPlay.interrupt();
+        // Uncover the video player if an image or page was showing
+        this.content.hide();
+        this.subtitles.clear();
         const loadBtn = document.getElementById('load-btn');
 
         try {
             loadBtn.disabled = true;
             this.updateLoadStatus('Loading video...', 'info');
-            this.debug("loadVideo - Loading video... ");
+            this.loaderLog.debug("loadVideo - Loading video... ");
             this.showNotification('Loading video...', 'info');
 
-            // Test if URL is accessible first (optional check)
-            try {
-                this.debug("Testing URL accessibility...");
-                const response = await fetch(url, { method: 'HEAD' });
-                this.debug("URL test response status: " + response.status);
-            } catch (fetchError) {
-                this.debug("URL test failed (continuing anyway): " + fetchError.message);
-                // Don't fail the entire load process for fetch errors
+            // Adaptive sources stream through MSE; progressive ones can come from the offline cache
+            const sourceType = detectSourceType(url);
+
+            // Check status, type and format before touching the player; what it learns feeds the Video Info panel
+            let head = {};
+            if (sourceType === 'progressive') {
+                this.loaderLog.debug("loadVideo - running preflight checks");
+                head = await this.preflight.check(url);
             }
 
+            const playbackUrl = sourceType === 'progressive' ? await this.mediaCache.resolve(url) : url;
+            const fromCache = playbackUrl !== url;
+
             // Load video directly into the player
             const videoPlayer = document.getElementById('video-player');
             const videoSource = document.getElementById('video-source');
             
             // Clear any existing source first
+            this.releaseStreamer();
             videoSource.src = '';
             videoPlayer.src = ''; // Also clear video element src
             videoPlayer.load();
+            this.deck.releaseObjectUrl(videoPlayer);
             
-            // Set the new video source - try both methods for Tizen compatibility
-            videoSource.src = url;
-            videoPlayer.src = url; // Set directly on video element as well
-            this.debug("loadVideo - video source set to URL " + url);
-            this.debug("loadVideo - video ready state before load: " + videoPlayer.readyState);
+            let adaptive = false;
+            if (sourceType !== 'progressive' && AdaptiveStreamer.isSupported()) {
+                this.streamer = new AdaptiveStreamer(this, videoPlayer, this.config.streaming);
+                adaptive = await this.streamer.attach(url, sourceType);
+                if (!adaptive) {
+                    this.releaseStreamer();
+                }
+            }
+
+            if (!adaptive) {
+                // Set the new video source - try both methods for Tizen compatibility
+                videoSource.src = playbackUrl;
+                videoPlayer.src = playbackUrl; // Set directly on video element as well
+            }
+            this.loaderLog.debug("loadVideo - video source set", {
+                url,
+                source: adaptive ? sourceType : fromCache ? 'cache' : 'network',
+                readyState: videoPlayer.readyState
+            });
             
             // Wait for the video to be ready to load with multiple fallback events
             await new Promise((resolve, reject) => {
                 let resolved = false;
+                const seconds = this.settings.get('loadTimeout');
                 const timeout = setTimeout(() => {
                     if (!resolved) {
                         resolved = true;
-                        this.debug("Video loading timeout - but continuing with partial load");
-                        // Don't reject on timeout, just resolve and continue
-                        resolve();
+                        cleanup();
+                        reject(new MediaLoadError('timeout', 'no video data arrived', { url, seconds, readyState: videoPlayer.readyState }));
                     }
-                }, 15000); // Increased to 15 seconds
+                }, seconds * 1000);
                 
                 const cleanup = () => {
                     clearTimeout(timeout);
@@ -334,7 +575,7 @@ class VideoPlayer {
                     if (!resolved) {
                         resolved = true;
                         cleanup();
-                        this.debug("Video canplay event received");
+                        this.loaderLog.debug("Video canplay event received");
                         resolve();
                     }
                 };
@@ -343,7 +584,7 @@ class VideoPlayer {
                     if (!resolved) {
                         resolved = true;
                         cleanup();
-                        this.debug("Video canplaythrough event received");
+                        this.loaderLog.debug("Video canplaythrough event received");
                         resolve();
                     }
                 };
@@ -352,7 +593,7 @@ class VideoPlayer {
                     if (!resolved) {
                         resolved = true;
                         cleanup();
-                        this.debug("Video loadeddata event received");
+                        this.loaderLog.debug("Video loadeddata event received");
                         resolve();
                     }
                 };
@@ -361,8 +602,7 @@ class VideoPlayer {
                     if (!resolved) {
                         resolved = true;
                         cleanup();
-                        this.debug("Video load error: " + (e.target.error ? e.target.error.message : 'Unknown error'));
-                        reject(new Error(`Video load error: ${e.target.error ? e.target.error.message : 'Unknown error'}`));
+                        reject(MediaLoadError.fromMediaError(e.target.error, { url }));
                     }
                 };
                 
@@ -372,15 +612,17 @@ class VideoPlayer {
                 videoPlayer.addEventListener('loadeddata', onLoadedData);
                 videoPlayer.addEventListener('error', onError);
                 
-                // Trigger the load
-                videoPlayer.load();
+                // Trigger the load - an attached MediaSource must not be reloaded
+                if (!adaptive) {
+                    videoPlayer.load();
+                }
                 
                 // Also check if video is already ready (for cached content)
                 setTimeout(() => {
                     if (!resolved && videoPlayer.readyState >= 2) { // HAVE_CURRENT_DATA or higher
                         resolved = true;
                         cleanup();
-                        this.debug("Video already ready (cached content)");
+                        this.loaderLog.debug("Video already ready (cached content)");
                         resolve();
                     }
                 }, 1000);
@@ -388,18 +630,18 @@ class VideoPlayer {
                 // Fallback: Check periodically if video is ready (for Tizen compatibility)
                 const checkInterval = setInterval(() => {
                     if (!resolved) {
-                        this.debug("Checking video ready state: " + videoPlayer.readyState);
+                        this.loaderLog.trace("Checking video ready state", { readyState: videoPlayer.readyState });
                         if (videoPlayer.readyState >= 1) { // HAVE_METADATA or higher
                             resolved = true;
                             clearInterval(checkInterval);
                             cleanup();
-                            this.debug("Video ready via periodic check");
+                            this.loaderLog.debug("Video ready via periodic check");
                             resolve();
                         }
                     } else {
                         clearInterval(checkInterval);
                     }
-                }, 2000); // Check every 2 seconds
+                }, this.settings.get('readyPollInterval') * 1000);
             });
             
             this.currentVideo = url;
@@ -408,24 +650,16 @@ class VideoPlayer {
             this.showNotification('Video loaded', 'success');
             this.updateLoadStatus('Video loaded', 'success');
             
-            this.debug("loadVideo - Video loaded successfully. URL is " + url);
-            this.debug("loadVideo - Final video ready state: " + videoPlayer.readyState);
-
+            this.loaderLog.info("loadVideo - Video loaded successfully", { url, readyState: videoPlayer.readyState });
+            this.handleVideoLoaded(url, head);
 
         } catch (error) {
-            this.debug("loadVideo - Video load failed. URL is " + url);
-            this.debug("loadVideo - Error details: " + error.message);
-            this.updateLoadStatus(`Load failed: ${error.message}`, 'error');
-            
-            // Show more specific error messages
-            if (error.message.includes('timeout')) {
-                this.showNotification('Video loading timed out. The video may be too large or the connection is slow. Try a different video.', 'warning');
-            } else if (error.message.includes('load error')) {
-                this.showNotification('Video format may not be supported or the URL is invalid.', 'error');
-            } else {
-                this.showNotification(`Failed to load video: ${error.message}`, 'error');
-            }
-            
+            // Do not leave a half-attached streamer behind for the next load to find
+            this.releaseStreamer();
+            const message = describeLoadError(error);
+            this.loaderLog.error("loadVideo - Video load failed", Object.assign({ url, type: error.type || null, error: error.message }, error.details));
+            this.updateLoadStatus(`Load failed: ${message}`, 'error');
+            this.showNotification(message, error.type === 'timeout' ? 'warning' : 'error');
             throw error;
         } finally {
             this.isLoading = false;
@@ -433,40 +667,117 @@ class VideoPlayer {
         }
     }
 
+    /**
+     * Put the video the deck preloaded for url on screen, without reloading it
+     */
+    showPreloadedVideo(url) {
+        this.loaderLog.debug("In showPreloadedVideo", { url });
+        this.proofOfPlay.interrupt();
+        this.content.hide();
+        this.subtitles.clear();
+        this.releaseStreamer();
+        this.deck.swap();
+
+        this.currentVideo = url;
+        this.userInitiatedPause = false;
+        this.updateAppStatus('Video loaded successfully');
+        this.updateLoadStatus('Video loaded', 'success');
+        // The new element's loadedmetadata fired while it was still the standby
+        this.transport.renderChapters();
+        this.handleVideoLoaded(url, {});
+    }
+
+    /**
+     * Bring the panels that describe the current video up to date
+     */
+    handleVideoLoaded(url, head) {
+        this.updateCacheStatus();
+        this.library.recordLoad(url);
+        this.videoInfo.show(url, head).catch(error => {
+            this.loaderLog.warn("handleVideoLoaded - failed to show video information", { url, error: error.message });
+        });
+        this.subtitles.attach(url).catch(error => {
+            this.loaderLog.warn("handleVideoLoaded - failed to attach subtitles", { url, error: error.message });
+        });
+    }
+
+
+    /**
+     * Load an image, HTML or web page item and put it on screen
+     */
+    async showContentItem(item) {
+        this.loaderLog.debug("In showContentItem", { url: item.url, type: item.type });
+        this.updateLoadStatus(`Loading ${item.type}...`, 'info');
+        try {
+            await this.content.load(item);
+        } catch (error) {
+            this.updateLoadStatus(`Load failed: ${error.message}`, 'error');
+            throw error;
+        }
+        this.content.show();
+        this.updateLoadStatus(`${item.type} loaded`, 'success');
+        this.updateAppStatus(`Showing ${item.type}`);
+    }
+
+    /**
+     * Take the video out of the way while an image or page is on screen
+     */
+    suspendVideo() {
+        const videoPlayer = document.getElementById('video-player');
+        const videoSource = document.getElementById('video-source');
+
+        this.proofOfPlay.interrupt();
+        this.playbackRequested = false;
+        this.subtitles.clear();
+        this.videoInfo.clear();
+        this.releaseStreamer();
+        videoPlayer.pause();
+        // Removing the sources (rather than setting them empty) unloads without raising an error
+        videoSource.removeAttribute('src');
+        videoPlayer.removeAttribute('src');
+        videoPlayer.load();
+        this.deck.releaseObjectUrl(videoPlayer);
+        this.currentVideo = null;
+    }
 
     /*
      * Video playback controls
      */
     playVideo() {
-        console.log("In playVideo");
-        this.debug("In playVideo");
+        this.playbackLog.debug("In playVideo");
+        if (this.content.isShowing()) {
+            this.content.resume();
+            this.updatePlaybackStatus('Playing', 'success');
+            return;
+        }
+        this.playbackRequested = true;
         const videoPlayer = document.getElementById('video-player');
         const videoSource = document.getElementById('video-source');
         
         // Check if video has a source and is ready to play
         if (videoSource.src || this.currentVideo) {
-            console.log("playVideo true - Video source available");
-            this.debug("playVideo - Video source available. Source: " + (videoSource.src || this.currentVideo));
+            this.playbackLog.debug("playVideo - Video source available", { source: videoSource.src || this.currentVideo });
             
             // Check if video is ready to play
             if (videoPlayer.readyState >= 3) { // HAVE_FUTURE_DATA or higher
-                this.debug("playVideo - Video ready state: " + videoPlayer.readyState);
+                this.playbackLog.debug("playVideo - Video ready", { readyState: videoPlayer.readyState });
+                this.cancelPlayWhenReady();
                 
                 // For Tizen 7, we need to handle autoplay policy
                 const playPromise = videoPlayer.play();
                 
                 if (playPromise !== undefined) {
                     playPromise.then(() => {
-                        console.log("playVideo - playing video");
-                        this.debug("playVideo - Playing video successfully. Source: " + (videoSource.src || this.currentVideo));
+                        this.playbackLog.debug("playVideo - Playing video successfully", { source: videoSource.src || this.currentVideo });
                         this.updatePlaybackStatus('Playing', 'success');
                     }).catch(error => {
-                        console.log("playVideo - error");
-                        this.debug("playVideo - Video playing failed. Error: " + error.message);
+                        this.playbackLog.error("playVideo - Video playing failed", { error: error.message, name: error.name });
+                        // Nothing is playing, so the watchdog must not treat this as a stall
+                        this.playbackRequested = false;
                         
                         // Handle specific autoplay policy errors
                         if (error.name === 'NotAllowedError') {
-                            this.debug("playVideo - Autoplay blocked, trying to play after user interaction");
+                            this.playbackLog.warn("playVideo - Autoplay blocked, trying to play after user interaction");
                             this.showNotification('Please click Play again - autoplay was blocked', 'warning');
                             this.updatePlaybackStatus('Autoplay blocked - click Play again', 'warning');
                         } else {
@@ -476,40 +787,188 @@ class VideoPlayer {
                     });
                 }
             } else {
-                this.debug("playVideo - Video not ready. Ready state: " + videoPlayer.readyState);
+                this.playbackLog.debug("playVideo - Video not ready", { readyState: videoPlayer.readyState });
                 this.showNotification('Video is still loading, please wait...', 'warning');
                 this.updatePlaybackStatus('Video loading...', 'info');
             }
         } else {
-            console.log("playVideo false - No video loaded");
-            this.debug("playVideo - No video loaded. Please load a video first.");
+            this.playbackLog.warn("playVideo - No video loaded. Please load a video first.");
             this.showNotification('No video loaded. Please load a video first.', 'warning');
         }
     }
 
     pauseVideo() {
-        this.debug("In pauseVideo");
-        console.log("In pauseVideo");
+        this.playbackLog.debug("In pauseVideo");
+        if (this.content.isShowing()) {
+            this.content.pause();
+            this.updatePlaybackStatus('Paused', 'info');
+            return;
+        }
         const videoPlayer = document.getElementById('video-player');
         this.userInitiatedPause = true; // Mark as user-initiated
+        this.playbackRequested = false;
+        this.cancelPlayWhenReady();
         videoPlayer.pause();
         this.updatePlaybackStatus('Paused', 'info');
     }
 
     stopVideo() {
-        this.debug("In stopVideo");
-        console.log("In stopVideo");
+        this.playbackLog.debug("In stopVideo");
+        if (this.content.isShowing()) {
+            this.content.pause();
+            this.updatePlaybackStatus('Stopped', 'info');
+            return;
+        }
         const videoPlayer = document.getElementById('video-player');
+        this.playbackRequested = false;
+        this.cancelPlayWhenReady();
         videoPlayer.pause();
         videoPlayer.currentTime = 0;
         this.updatePlaybackStatus('Stopped', 'info');
     }
 
     setVolume(volume) {
-        this.debug("In setVolume");
-        console.log("In setVolume");
+        this.playbackLog.debug("In setVolume", { volume });
+        // Applied to the video element and both sliders by applySetting
+        this.settings.set('volume', Number(volume));
+    }
+
+    /**
+     * Apply a volume without storing it, while a slider is being moved
+     */
+    previewVolume(volume) {
+        this.deck.getElements().forEach((video) => {
+            video.volume = volume / 100;
+        });
+    }
+
+    /**
+     * Play as soon as the loaded video has enough data
+     */
+    playWhenReady() {
+        this.cancelPlayWhenReady();
+        const videoPlayer = document.getElementById('video-player');
+        if (videoPlayer.readyState >= 3) { // HAVE_FUTURE_DATA or higher
+            this.playVideo();
+            return;
+        }
+
+        this.playbackLog.debug("playWhenReady - waiting for canplay", { readyState: videoPlayer.readyState });
+        const onCanPlay = () => {
+            this.cancelPlayWhenReady();
+            this.playVideo();
+        };
+        // Playback started some other way: nothing left to wait for
+        const onPlaying = () => this.cancelPlayWhenReady();
+        videoPlayer.addEventListener('canplay', onCanPlay);
+        videoPlayer.addEventListener('playing', onPlaying);
+        this.pendingPlay = { video: videoPlayer, onCanPlay, onPlaying };
+    }
+
+    /**
+     * Drop a playWhenReady still waiting for canplay, so it cannot start playback later
+     */
+    cancelPlayWhenReady() {
+        if (!this.pendingPlay) {
+            return;
+        }
+        const { video, onCanPlay, onPlaying } = this.pendingPlay;
+        video.removeEventListener('canplay', onCanPlay);
+        video.removeEventListener('playing', onPlaying);
+        this.pendingPlay = null;
+    }
+
+    /**
+     * Replay the current video from the beginning
+     */
+    restartVideo() {
+        this.playbackLog.debug("In restartVideo");
         const videoPlayer = document.getElementById('video-player');
-        videoPlayer.volume = volume / 100;
+        videoPlayer.currentTime = 0;
+        this.playVideo();
+    }
+
+    /**
+     * Playlist navigation
+     */
+    nextItem() {
+        this.playbackLog.debug("In nextItem");
+        if (this.playlist.items.length === 0) {
+            this.showNotification('Playlist is empty', 'warning');
+            return;
+        }
+        this.playlist.next();
+    }
+
+    previousItem() {
+        this.playbackLog.debug("In previousItem");
+        if (this.playlist.items.length === 0) {
+            this.showNotification('Playlist is empty', 'warning');
+            return;
+        }
+        this.playlist.previous();
+    }
+
+    /**
+     * Adaptive streaming helpers
+     */
+    releaseStreamer() {
+        if (this.streamer) {
+            this.streamer.destroy();
+            this.streamer = null;
+        }
+    }
+
+    handleStreamingError(error) {
+        this.playbackLog.error("handleStreamingError", { error: error.message });
+        this.updatePlaybackStatus(`Streaming failed: ${error.message}`, 'error');
+        this.showNotification(`Streaming failed: ${error.message}`, 'error');
+        this.playlist.handleError(error);
+    }
+
+    /**
+     * Offline cache helpers
+     */
+    async purgeCache() {
+        this.loaderLog.debug("In purgeCache");
+        try {
+            await this.mediaCache.purgeAll();
+            this.showNotification('Offline cache cleared', 'success');
+        } catch (error) {
+            this.loaderLog.error("purgeCache - failed", { error: error.message });
+            this.showNotification(`Failed to clear cache: ${error.message}`, 'error');
+        }
+        this.updateCacheStatus();
+    }
+
+    updateCacheStatus() {
+        const usageElement = document.getElementById('cache-usage');
+        const listElement = document.getElementById('cache-list');
+
+        if (!this.mediaCache.enabled) {
+            usageElement.textContent = 'Offline cache unavailable';
+            return;
+        }
+
+        const entries = this.mediaCache.list();
+        usageElement.textContent = `Offline cache: ${entries.length} videos, ` +
+            `${this.mediaCache.formatSize(this.mediaCache.getUsage())} of ${this.mediaCache.formatSize(this.mediaCache.quota)}`;
+
+        listElement.innerHTML = '';
+        entries.forEach((entry) => {
+            const row = document.createElement('li');
+            const thumbnail = this.thumbnails.get(entry.url);
+            if (thumbnail) {
+                const image = document.createElement('img');
+                image.className = 'list-thumbnail';
+                image.src = thumbnail;
+                row.appendChild(image);
+            } else {
+                this.thumbnails.request(entry.url).then((data) => data && this.updateCacheStatus());
+            }
+            row.appendChild(document.createTextNode(`${entry.url} (${this.mediaCache.formatSize(entry.size)})`));
+            listElement.appendChild(row);
+        });
     }
 
     /**
@@ -517,47 +976,27 @@ class VideoPlayer {
      */
     handleVideoError(event) {
         const video = event.target;
-        let errorMessage = 'Unknown video error';
-        let errorCode = 'UNKNOWN';
-        
-        this.debug("handleVideoError called");
-        this.debug("Video error object: " + JSON.stringify(video.error));
-        
-        if (video.error) {
-            switch (video.error.code) {
-                case video.error.MEDIA_ERR_ABORTED:
-                    errorMessage = 'Video playback was aborted';
-                    errorCode = 'MEDIA_ERR_ABORTED';
-                    break;
-                case video.error.MEDIA_ERR_NETWORK:
-                    errorMessage = 'Network error occurred - check internet connection';
-                    errorCode = 'MEDIA_ERR_NETWORK';
-                    break;
-                case video.error.MEDIA_ERR_DECODE:
-                    errorMessage = 'Video format not supported or corrupted';
-                    errorCode = 'MEDIA_ERR_DECODE';
-                    break;
-                case video.error.MEDIA_ERR_SRC_NOT_SUPPORTED:
-                    errorMessage = 'Video source not supported - check URL and format';
-                    errorCode = 'MEDIA_ERR_SRC_NOT_SUPPORTED';
-                    break;
-                default:
-                    errorMessage = `Unknown video error (code: ${video.error.code})`;
-                    errorCode = `UNKNOWN_${video.error.code}`;
-            }
-            
-            this.debug("Video error details:");
-            this.debug("- Code: " + errorCode);
-            this.debug("- Message: " + errorMessage);
-            this.debug("- Network state: " + video.networkState);
-            this.debug("- Ready state: " + video.readyState);
-            this.debug("- Current source: " + (video.src || 'none'));
-        } else {
-            this.debug("Video error object is null/undefined");
+        this.playbackLog.debug("handleVideoError called");
+
+        const error = MediaLoadError.fromMediaError(video.error, { url: this.currentVideo });
+        const message = describeLoadError(error);
+        this.playbackLog.error("Video error", Object.assign({
+            type: error.type,
+            error: error.message,
+            networkState: video.networkState,
+            readyState: video.readyState,
+            source: video.src || 'none'
+        }, error.details));
+
+        this.updatePlaybackStatus(message, 'error');
+        this.showNotification(message, 'error');
+        this.proofOfPlay.onError(message);
+
+        // Errors during loadVideo are reported through its rejected promise instead
+        if (!this.isLoading) {
+            this.failover.markFailed(this.currentVideo);
+            this.playlist.handleError(error);
         }
-        
-        this.updatePlaybackStatus(errorMessage, 'error');
-        this.showNotification(errorMessage, 'error');
     }
 
     /**
@@ -568,14 +1007,27 @@ class VideoPlayer {
         statusElement.textContent = message;
     }
 
+    /**
+     * Show the scheduled content set now playing and the next change
+     */
+    updateScheduleStatus(now, next) {
+        const statusElement = document.getElementById('schedule-status');
+        let message = `Now: ${now.setId}`;
+        if (next) {
+            const time = next.at.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', timeZone: this.scheduler.timezone });
+            message += ` | Next: ${next.setId} at ${time}`;
+        }
+        statusElement.textContent = message;
+    }
+
     /**
      * Utility functions
      */
     isValidUrl(string) {
-        this.debug("In isValidUrl.");
+        this.loaderLog.trace("In isValidUrl", { url: string });
         try {
             new URL(string);
-            // Check if URL ends with .mp4 extension OR has no file extension
+            // Check if URL ends with .mp4 extension, is an HLS/DASH manifest OR has no file extension
             const lowerString = string.toLowerCase();
             const url = new URL(string);
             const pathname = url.pathname;
@@ -584,6 +1036,11 @@ class VideoPlayer {
             if (lowerString.endsWith('.mp4')) {
                 return true;
             }
+
+            // Accept HLS (.m3u8) and DASH (.mpd) manifests, which may carry query strings
+            if (detectSourceType(string) !== 'progressive') {
+                return true;
+            }
             
             // Accept if pathname has no extension (no dot in the last segment)
             const lastSegment = pathname.split('/').pop();
@@ -593,7 +1050,21 @@ class VideoPlayer {
         }
     }
 
-    // Now validates that URLs end with .mp4 extension or have no extension
+    // Now validates that URLs end with .mp4, .m3u8 or .mpd, or have no extension
+
+    /**
+     * Videos must pass isValidUrl; images, HTML and web pages need an http(s) URL
+     */
+    isValidItemUrl(string, type) {
+        if (type === 'video') {
+            return this.isValidUrl(string);
+        }
+        try {
+            return ['http:', 'https:'].includes(new URL(string).protocol);
+        } catch (_) {
+            return false;
+        }
+    }
 
     /**
      * UI Helper functions
@@ -611,6 +1082,11 @@ class VideoPlayer {
     }
 
     showNotification(message, type = 'info') {
+        this.uiLog.info("Notification", { type, message });
+        // Customer-facing screens show no notifications; the log still has them
+        if (this.signage.isLocked()) {
+            return;
+        }
         const notificationArea = document.getElementById('notification-area');
         const notification = document.createElement('div');
         notification.className = `notification ${type}`;
@@ -647,7 +1123,7 @@ window.onload = function() {
         videoPlayer = new VideoPlayer();
         window.videoPlayer = videoPlayer; // Make globally accessible for debug function
     } catch (error) {
-        // console.error('Failed to initialize VideoPlayer:', error);
+        logger.error('app', 'Failed to initialize VideoPlayer', { error: error.message });
         document.body.innerHTML = `
             <div style="display: flex; justify-content: center; align-items: center; height: 100vh; color: white; text-align: center;">
                 <div>
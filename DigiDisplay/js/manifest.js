@@ -0,0 +1,522 @@
+/**
+ * DigiDisplay Manifest Client - Tizen Web App
+ * Polls a remote JSON content manifest and hot-applies it to the playlist
+ *
+ * Manifest format:
+ * {
+ *     "version": 1,
+ *     "items": [
+ *         { "id": "promo-1", "url": "https://cdn.example.com/promo.mp4", "title": "Promo", "duration": 30, "loop": 1,
+ *           "mirrors": ["https://cdn2.example.com/promo.mp4", "http://media.local/promo.mp4"] }
+ *     ],
+ *     "schedule": { ...optional dayparting, see scheduler.js... },
+ *     "layout": { ...optional multi-zone layout, see layout.js... }
+ * }
+ * The top-level items are the default set, played whenever no schedule window is active.
+ */
+
+const MANIFEST_STORAGE_KEY = 'digidisplay.manifest';
+
+const MANIFEST_ITEMS_SCHEMA = {
+    type: 'array',
+    required: true,
+    minItems: 1,
+    items: {
+        type: 'object',
+        properties: {
+            id: { type: 'string', required: true },
+            url: { type: 'string', required: true },
+            type: { type: 'string', enum: CONTENT_TYPES },
+            title: { type: 'string' },
+            duration: { type: 'number', min: 0 },
+            loop: { type: 'number', min: 1 },
+            mirrors: { type: 'array', items: { type: 'string' } },
+            subtitles: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        url: { type: 'string', required: true },
+                        language: { type: 'string' },
+                        label: { type: 'string' },
+                        default: { type: 'boolean' }
+                    }
+                }
+            },
+            chapters: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        time: { type: 'number', required: true, min: 0 },
+                        title: { type: 'string' }
+                    }
+                }
+            }
+        }
+    }
+};
+
+const TIME_PATTERN = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const MANIFEST_SCHEMA = {
+    type: 'object',
+    properties: {
+        version: { type: 'number', required: true },
+        items: MANIFEST_ITEMS_SCHEMA,
+        schedule: {
+            type: 'object',
+            properties: {
+                timezone: { type: 'string' },
+                sets: {
+                    type: 'array',
+                    required: true,
+                    items: {
+                        type: 'object',
+                        properties: {
+                            id: { type: 'string', required: true },
+                            items: MANIFEST_ITEMS_SCHEMA
+                        }
+                    }
+                },
+                windows: {
+                    type: 'array',
+                    required: true,
+                    items: {
+                        type: 'object',
+                        properties: {
+                            set: { type: 'string', required: true },
+                            start: { type: 'string', required: true, pattern: TIME_PATTERN },
+                            end: { type: 'string', required: true, pattern: TIME_PATTERN },
+                            days: { type: 'array', items: { type: 'string', enum: WEEKDAYS } },
+                            startDate: { type: 'string', pattern: DATE_PATTERN },
+                            endDate: { type: 'string', pattern: DATE_PATTERN },
+                            timezone: { type: 'string' }
+                        }
+                    }
+                }
+            }
+        },
+        layout: {
+            type: 'object',
+            properties: {
+                width: { type: 'number', min: 1 },
+                height: { type: 'number', min: 1 },
+                zones: {
+                    type: 'array',
+                    required: true,
+                    minItems: 1,
+                    items: {
+                        type: 'object',
+                        properties: {
+                            id: { type: 'string', required: true },
+                            type: { type: 'string', required: true, enum: ZONE_TYPES },
+                            x: { type: 'number', required: true, min: 0 },
+                            y: { type: 'number', required: true, min: 0 },
+                            width: { type: 'number', required: true, min: 1 },
+                            height: { type: 'number', required: true, min: 1 },
+                            z: { type: 'number' },
+                            background: { type: 'string' },
+                            items: {
+                                type: 'array',
+                                items: {
+                                    type: 'object',
+                                    properties: {
+                                        url: { type: 'string', required: true },
+                                        duration: { type: 'number', min: 0 }
+                                    }
+                                }
+                            },
+                            format: { type: 'string', enum: ['12h', '24h'] },
+                            showDate: { type: 'boolean' },
+                            timezone: { type: 'string' },
+                            messages: { type: 'array', items: { type: 'string' } },
+                            source: { type: 'string', enum: ['static', 'rss', 'json'] },
+                            url: { type: 'string' },
+                            itemsPath: { type: 'string' },
+                            textField: { type: 'string' },
+                            refreshInterval: { type: 'number', min: 10 },
+                            separator: { type: 'string' },
+                            speed: { type: 'number', min: 1 }
+                        }
+                    }
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Validate a value against a schema node, collecting errors with their paths
+ */
+function validateSchema(value, schema, path = 'manifest', errors = []) {
+    const actualType = Array.isArray(value) ? 'array' : typeof value;
+    if (value === null || actualType !== schema.type) {
+        errors.push(`${path} must be of type ${schema.type}`);
+        return errors;
+    }
+
+    if (schema.type === 'number' && schema.min !== undefined && value < schema.min) {
+        errors.push(`${path} must be at least ${schema.min}`);
+    }
+
+    if (schema.type === 'number' && schema.max !== undefined && value > schema.max) {
+        errors.push(`${path} must be at most ${schema.max}`);
+    }
+
+    if (schema.pattern && !schema.pattern.test(value)) {
+        errors.push(`${path} has an invalid format`);
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} must be one of ${schema.enum.join(', ')}`);
+    }
+
+    if (schema.type === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${path} must contain at least ${schema.minItems} entries`);
+        }
+        value.forEach((entry, index) => validateSchema(entry, schema.items, `${path}[${index}]`, errors));
+    }
+
+    if (schema.type === 'object') {
+        Object.keys(schema.properties).forEach((key) => {
+            const property = schema.properties[key];
+            if (value[key] === undefined) {
+                if (property.required) {
+                    errors.push(`${path}.${key} is required`);
+                }
+                return;
+            }
+            validateSchema(value[key], property, `${path}.${key}`, errors);
+        });
+    }
+
+    return errors;
+}
+
+class ManifestClient {
+    constructor(player, options) {
+        this.log = logger.child('manifest');
+        this.player = player;
+        this.url = options.url;
+        this.pollInterval = options.pollInterval * 1000;
+        this.fetchTimeout = options.fetchTimeout * 1000;
+        this.activeManifest = null;
+        this.pollTimer = null;
+    }
+
+    /**
+     * Apply the last good manifest, then fetch and start polling
+     */
+    async start() {
+        const cached = this.loadCachedManifest();
+        if (cached) {
+            this.log.debug("start - applying cached manifest", { fetchedAt: new Date(cached.fetchedAt).toISOString() });
+            try {
+                this.apply(cached.manifest);
+            } catch (error) {
+                this.log.error("start - cached manifest could not be applied", { error: error.message });
+            }
+        }
+
+        try {
+            await this.refresh();
+        } finally {
+            this.scheduleNextPoll();
+        }
+    }
+
+    stop() {
+        clearTimeout(this.pollTimer);
+        this.pollTimer = null;
+    }
+
+    scheduleNextPoll() {
+        clearTimeout(this.pollTimer);
+        this.pollTimer = setTimeout(async () => {
+            try {
+                await this.refresh();
+            } finally {
+                this.scheduleNextPoll();
+            }
+        }, this.pollInterval);
+    }
+
+    /**
+     * Fetch, validate and apply the remote manifest.
+     * Failures keep the active content playing.
+     */
+    async refresh() {
+        this.log.debug("refresh - fetching", { url: this.url });
+        let manifest;
+
+        try {
+            manifest = await this.fetchManifest();
+        } catch (error) {
+            this.log.warn("refresh - fetch failed, keeping current content", { url: this.url, error: error.message });
+            return false;
+        }
+
+        const errors = this.validate(manifest);
+        if (errors.length > 0) {
+            this.log.error("refresh - manifest rejected", { url: this.url, errors });
+            this.player.showNotification('Content manifest rejected - keeping current content', 'warning');
+            return false;
+        }
+
+        try {
+            this.apply(manifest);
+        } catch (error) {
+            this.log.error("refresh - manifest could not be applied, keeping current content", { url: this.url, error: error.message });
+            return false;
+        }
+        // Only a manifest that applied cleanly is worth starting from next time
+        this.saveCachedManifest(manifest);
+        return true;
+    }
+
+    async fetchManifest() {
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), this.fetchTimeout);
+
+        try {
+            const response = await fetch(this.url, { cache: 'no-store', signal: controller.signal });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            return await response.json();
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error('Manifest fetch timeout');
+            }
+            throw error;
+        } finally {
+            clearTimeout(timeout);
+        }
+    }
+
+    /**
+     * Check the manifest against the schema, the player's URL rules
+     * and the cross references in the schedule
+     */
+    validate(manifest) {
+        const errors = validateSchema(manifest, MANIFEST_SCHEMA);
+        if (errors.length > 0) {
+            return errors;
+        }
+
+        this.validateItems(manifest.items, 'manifest.items', errors);
+
+        if (manifest.schedule) {
+            const setIds = {};
+            manifest.schedule.sets.forEach((set, index) => {
+                const path = `manifest.schedule.sets[${index}]`;
+                if (set.id === DEFAULT_SET_ID || setIds[set.id]) {
+                    errors.push(`${path}.id "${set.id}" is reserved or duplicated`);
+                }
+                setIds[set.id] = true;
+                this.validateItems(set.items, `${path}.items`, errors);
+            });
+
+            this.validateTimezone(manifest.schedule.timezone, 'manifest.schedule.timezone', errors);
+            manifest.schedule.windows.forEach((window, index) => {
+                const path = `manifest.schedule.windows[${index}]`;
+                if (!setIds[window.set]) {
+                    errors.push(`${path}.set "${window.set}" does not match any set`);
+                }
+                this.validateTimezone(window.timezone, `${path}.timezone`, errors);
+            });
+        }
+
+        if (manifest.layout) {
+            this.validateLayout(manifest.layout, errors);
+        }
+        return errors;
+    }
+
+    validateLayout(layout, errors) {
+        const zoneIds = {};
+        let mainZones = 0;
+        layout.zones.forEach((zone, index) => {
+            const path = `manifest.layout.zones[${index}]`;
+            if (zoneIds[zone.id]) {
+                errors.push(`${path}.id "${zone.id}" is duplicated`);
+            }
+            zoneIds[zone.id] = true;
+            if (zone.type === 'main') {
+                mainZones++;
+            }
+
+            if ((zone.type === 'image' || zone.type === 'video') && !(zone.items && zone.items.length > 0)) {
+                errors.push(`${path}.items is required for ${zone.type} zones`);
+            }
+            (zone.items || []).forEach((item, itemIndex) => {
+                const valid = zone.type === 'video' ? this.player.isValidUrl(item.url) : this.isHttpUrl(item.url);
+                if (!valid) {
+                    errors.push(`${path}.items[${itemIndex}].url is not a supported URL`);
+                } else if (zone.type === 'video' && detectSourceType(item.url) !== 'progressive') {
+                    // Zone videos play straight from the element; only the main zone streams through MSE
+                    errors.push(`${path}.items[${itemIndex}].url must be a progressive video; HLS and DASH play only in the main zone`);
+                }
+            });
+            this.validateTimezone(zone.timezone, `${path}.timezone`, errors);
+        });
+
+        if (mainZones !== 1) {
+            errors.push('manifest.layout must have exactly one main zone');
+        }
+    }
+
+    isHttpUrl(string) {
+        try {
+            return ['http:', 'https:'].includes(new URL(string).protocol);
+        } catch (_) {
+            return false;
+        }
+    }
+
+    validateItems(items, path, errors) {
+        const seenIds = {};
+        items.forEach((item, index) => {
+            if (seenIds[item.id]) {
+                errors.push(`${path}[${index}].id "${item.id}" is duplicated`);
+            }
+            seenIds[item.id] = true;
+
+            const type = item.type || detectContentType(item.url);
+            if (!this.player.isValidItemUrl(item.url, type)) {
+                errors.push(`${path}[${index}].url is not a supported URL for its type`);
+            }
+            if (item.mirrors && type !== 'video') {
+                errors.push(`${path}[${index}].mirrors is only supported for video items`);
+            }
+            (item.mirrors || []).forEach((mirror, mirrorIndex) => {
+                if (!this.player.isValidUrl(mirror)) {
+                    errors.push(`${path}[${index}].mirrors[${mirrorIndex}] is not a supported video URL`);
+                }
+            });
+            (item.subtitles || []).forEach((subtitle, subtitleIndex) => {
+                if (!this.isHttpUrl(subtitle.url)) {
+                    errors.push(`${path}[${index}].subtitles[${subtitleIndex}].url is not a supported URL`);
+                }
+            });
+        });
+    }
+
+    validateTimezone(timezone, path, errors) {
+        if (timezone === undefined) {
+            return;
+        }
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        } catch (_) {
+            errors.push(`${path} "${timezone}" is not a known timezone`);
+        }
+    }
+
+    /**
+     * Every item in the manifest, with ids qualified by the set they belong to
+     */
+    getAllItems(manifest) {
+        const sets = [{ id: DEFAULT_SET_ID, items: manifest.items }]
+            .concat(manifest.schedule ? manifest.schedule.sets : []);
+
+        return sets.reduce((all, set) => all.concat(set.items.map((item) =>
+            Object.assign({}, item, { id: `${set.id}/${item.id}` }))), []);
+    }
+
+    /**
+     * Work out what changed between the active and the new item lists
+     */
+    diff(oldItems, newItems) {
+        const oldById = {};
+        oldItems.forEach((item) => { oldById[item.id] = item; });
+        const newIds = {};
+        newItems.forEach((item) => { newIds[item.id] = true; });
+
+        const added = newItems.filter((item) => !oldById[item.id]).map((item) => item.id);
+        const removed = oldItems.filter((item) => !newIds[item.id]).map((item) => item.id);
+        const changed = newItems.filter((item) => {
+            const old = oldById[item.id];
+            return old && JSON.stringify(old) !== JSON.stringify(item);
+        }).map((item) => item.id);
+
+        const keptOld = oldItems.filter((item) => newIds[item.id]).map((item) => item.id);
+        const keptNew = newItems.filter((item) => oldById[item.id]).map((item) => item.id);
+        const reordered = keptOld.join('\n') !== keptNew.join('\n');
+
+        return {
+            added,
+            removed,
+            changed,
+            reordered,
+            hasChanges: added.length > 0 || removed.length > 0 || changed.length > 0 || reordered
+        };
+    }
+
+    /**
+     * Hot-apply a validated manifest through the scheduler
+     */
+    apply(manifest) {
+        const oldItems = this.activeManifest ? this.getAllItems(this.activeManifest) : [];
+        const newItems = this.getAllItems(manifest);
+        const changes = this.diff(oldItems, newItems);
+        const scheduleChanged = !this.activeManifest ||
+            JSON.stringify(this.activeManifest.schedule) !== JSON.stringify(manifest.schedule);
+
+        // The layout engine skips re-rendering an identical layout itself
+        this.player.layout.apply(manifest.layout);
+
+        if (this.activeManifest && !changes.hasChanges && !scheduleChanged) {
+            this.log.debug("apply - manifest unchanged");
+            return;
+        }
+
+        this.log.debug("apply - manifest changed", {
+            added: changes.added.length,
+            removed: changes.removed.length,
+            changed: changes.changed.length,
+            reordered: changes.reordered,
+            scheduleChanged
+        });
+
+        this.activeManifest = manifest;
+        this.player.scheduler.load(manifest);
+        // The offline cache holds videos; images and pages are left to the browser cache
+        const videoUrls = newItems
+            .filter((item) => (item.type || detectContentType(item.url)) === 'video')
+            .map((item) => item.url);
+        this.player.mediaCache.prefetchAll(videoUrls);
+    }
+
+    loadCachedManifest() {
+        try {
+            const stored = localStorage.getItem(MANIFEST_STORAGE_KEY);
+            if (!stored) {
+                return null;
+            }
+            const cached = JSON.parse(stored);
+            if (this.validate(cached.manifest).length > 0) {
+                this.log.debug("loadCachedManifest - cached manifest is no longer valid");
+                return null;
+            }
+            return cached;
+        } catch (error) {
+            this.log.warn("loadCachedManifest - failed", { error: error.message });
+            return null;
+        }
+    }
+
+    saveCachedManifest(manifest) {
+        try {
+            localStorage.setItem(MANIFEST_STORAGE_KEY, JSON.stringify({
+                manifest,
+                fetchedAt: Date.now()
+            }));
+        } catch (error) {
+            this.log.warn("saveCachedManifest - failed", { error: error.message });
+        }
+    }
+}
@@ -0,0 +1,510 @@
+/**
+ * DigiDisplay Video Metadata - Tizen Web App
+ * Reads the ftyp and moov boxes of MP4 files with ranged requests (or from
+ * the offline cache) to report codecs, resolution, frame rate, bitrate,
+ * creation date and title tags, and shows them in the Video Info panel.
+ *
+ * Only the boxes are downloaded: the first probe usually holds ftyp and, for
+ * files prepared for streaming, moov. Otherwise the top-level box headers are
+ * followed with small ranged reads until moov is found.
+ */
+
+const MP4_EPOCH_OFFSET = 2082844800;    // Seconds from 1904-01-01 (MP4 time zero) to 1970-01-01
+const MP4_CONTAINER_BOXES = ['moov', 'trak', 'mdia', 'minf', 'stbl', 'udta', 'ilst'];
+const MP4_MAX_TOP_LEVEL_BOXES = 50;
+const MP4_TAGS = { '©nam': 'title', '©ART': 'artist', '©day': 'date', '©cmt': 'comment', '©too': 'encoder' };
+
+function readFourCC(view, offset) {
+    let text = '';
+    for (let i = 0; i < 4; i++) {
+        text += String.fromCharCode(view.getUint8(offset + i));
+    }
+    return text;
+}
+
+/**
+ * 64-bit unsigned values; exact up to 2^53, far beyond any real duration or size
+ */
+function readUint64(view, offset) {
+    return view.getUint32(offset) * 4294967296 + view.getUint32(offset + 4);
+}
+
+/**
+ * Box header at offset: { type, start, headerSize, size }. size is null for
+ * a box that runs to the end of the file
+ */
+function readBoxHeader(view, offset) {
+    let size = view.getUint32(offset);
+    const type = readFourCC(view, offset + 4);
+    let headerSize = 8;
+    if (size === 1) {
+        size = readUint64(view, offset + 8);
+        headerSize = 16;
+    } else if (size === 0) {
+        size = null;
+    }
+    return { type, start: offset, headerSize, size };
+}
+
+/**
+ * Child boxes of the range [start, end) of view
+ */
+function readBoxes(view, start, end) {
+    const boxes = [];
+    let offset = start;
+    while (offset + 8 <= end) {
+        const box = readBoxHeader(view, offset);
+        const size = box.size === null ? end - offset : box.size;
+        if (size < box.headerSize || offset + size > end) {
+            break;
+        }
+        box.size = size;
+        boxes.push(box);
+        offset += size;
+    }
+    return boxes;
+}
+
+function parseFtyp(view, box) {
+    const start = box.start + box.headerSize;
+    const brands = [];
+    for (let offset = start + 8; offset + 4 <= box.start + box.size; offset += 4) {
+        brands.push(readFourCC(view, offset));
+    }
+    return { brand: readFourCC(view, start).trim(), compatibleBrands: brands.map((brand) => brand.trim()) };
+}
+
+/**
+ * Walk moov and collect what the info panel shows
+ */
+function parseMoov(view, moov) {
+    const info = { tracks: [], tags: {} };
+    walkBoxes(view, moov, info, null);
+
+    const video = info.tracks.find((track) => track.handler === 'vide');
+    const audio = info.tracks.find((track) => track.handler === 'soun');
+    return {
+        duration: info.timescale ? info.duration / info.timescale : null,
+        created: info.created || null,
+        tags: info.tags,
+        video: video ? {
+            codec: video.codec,
+            width: video.width,
+            height: video.height,
+            frameRate: video.sampleCount && video.sampleDuration
+                ? Math.round(video.sampleCount * video.timescale / video.sampleDuration * 100) / 100
+                : null
+        } : null,
+        audio: audio ? { codec: audio.codec, channels: audio.channels, sampleRate: audio.sampleRate } : null
+    };
+}
+
+function walkBoxes(view, parent, info, track) {
+    const start = parent.start + parent.headerSize;
+    readBoxes(view, start, parent.start + parent.size).forEach((box) => {
+        const body = box.start + box.headerSize;
+        if (box.type === 'trak') {
+            const child = {};
+            info.tracks.push(child);
+            walkBoxes(view, box, info, child);
+        } else if (MP4_CONTAINER_BOXES.includes(box.type)) {
+            walkBoxes(view, box, info, track);
+        } else if (box.type === 'meta') {
+            // ISO meta is a full box (4 bytes of version and flags); QuickTime meta is not
+            const fullBox = readFourCC(view, body + 8) === 'hdlr';
+            walkBoxes(view, { start: box.start, headerSize: box.headerSize + (fullBox ? 4 : 0), size: box.size }, info, track);
+        } else if (box.type === 'mvhd') {
+            parseMvhd(view, body, info);
+        } else if (track && box.type === 'tkhd') {
+            parseTkhd(view, body, track);
+        } else if (track && box.type === 'mdhd') {
+            track.timescale = view.getUint32(body + (view.getUint8(body) === 1 ? 20 : 12));
+        } else if (track && box.type === 'hdlr') {
+            track.handler = readFourCC(view, body + 8);
+        } else if (track && box.type === 'stsd') {
+            parseStsd(view, body, box.start + box.size, track);
+        } else if (track && box.type === 'stts') {
+            parseStts(view, body, track);
+        } else if (MP4_TAGS[box.type]) {
+            const value = parseTag(view, box);
+            if (value) {
+                info.tags[MP4_TAGS[box.type]] = value;
+            }
+        }
+    });
+}
+
+function parseMvhd(view, body, info) {
+    const version = view.getUint8(body);
+    const created = version === 1 ? readUint64(view, body + 4) : view.getUint32(body + 4);
+    info.timescale = view.getUint32(body + (version === 1 ? 20 : 12));
+    info.duration = version === 1 ? readUint64(view, body + 24) : view.getUint32(body + 16);
+    // Encoders that do not set a creation time leave it at the 1904 epoch
+    if (created > MP4_EPOCH_OFFSET) {
+        info.created = new Date((created - MP4_EPOCH_OFFSET) * 1000).toISOString();
+    }
+}
+
+function parseTkhd(view, body, track) {
+    const dimensions = body + (view.getUint8(body) === 1 ? 88 : 76);
+    // 16.16 fixed point
+    track.width = view.getUint32(dimensions) / 65536;
+    track.height = view.getUint32(dimensions + 4) / 65536;
+}
+
+/**
+ * First sample description: the codec, and for audio its channels and rate
+ */
+function parseStsd(view, body, end, track) {
+    if (view.getUint32(body + 4) === 0 || body + 16 > end) {
+        return;
+    }
+    const entry = readBoxHeader(view, body + 8);
+    const entryBody = entry.start + entry.headerSize;
+    const entryEnd = Math.min(entry.start + entry.size, end);
+    track.codec = entry.type;
+
+    if (track.handler === 'soun') {
+        track.channels = view.getUint16(entryBody + 16);
+        track.sampleRate = view.getUint32(entryBody + 24) / 65536;
+        const esds = readBoxes(view, entryBody + 28, entryEnd).find((box) => box.type === 'esds');
+        if (esds) {
+            track.codec = parseEsdsCodec(view, esds, entry.type);
+        }
+        return;
+    }
+
+    // Visual sample entries carry their codec configuration after 78 bytes of fixed fields
+    const avcC = readBoxes(view, entryBody + 78, entryEnd).find((box) => box.type === 'avcC');
+    if (avcC) {
+        const config = avcC.start + avcC.headerSize;
+        const hex = (offset) => view.getUint8(config + offset).toString(16).padStart(2, '0');
+        track.codec = `${entry.type}.${hex(1)}${hex(2)}${hex(3)}`;
+    }
+}
+
+/**
+ * RFC 6381 codec string for MPEG-4 audio, e.g. mp4a.40.2 for AAC-LC
+ */
+function parseEsdsCodec(view, esds, fallback) {
+    const end = esds.start + esds.size;
+    let offset = esds.start + esds.headerSize + 4;
+
+    const readDescriptor = () => {
+        const tag = view.getUint8(offset++);
+        let size = 0;
+        for (let i = 0; i < 4; i++) {
+            const byte = view.getUint8(offset++);
+            size = (size << 7) | (byte & 0x7f);
+            if (!(byte & 0x80)) {
+                break;
+            }
+        }
+        return { tag, size };
+    };
+
+    try {
+        if (readDescriptor().tag !== 3) {
+            return fallback;
+        }
+        const flags = view.getUint8(offset + 2);
+        offset += 3;
+        if (flags & 0x80) {
+            offset += 2;
+        }
+        if (flags & 0x40) {
+            offset += 1 + view.getUint8(offset);
+        }
+        if (flags & 0x20) {
+            offset += 2;
+        }
+        if (readDescriptor().tag !== 4) {
+            return fallback;
+        }
+        const objectType = view.getUint8(offset);
+        offset += 13;
+        if (offset < end && readDescriptor().tag === 5) {
+            return `${fallback}.${objectType.toString(16)}.${view.getUint8(offset) >> 3}`;
+        }
+        return `${fallback}.${objectType.toString(16)}`;
+    } catch (error) {
+        // Truncated descriptor
+        return fallback;
+    }
+}
+
+/**
+ * Frame rate source: total samples and their total duration
+ */
+function parseStts(view, body, track) {
+    const entries = view.getUint32(body + 4);
+    let count = 0;
+    let duration = 0;
+    for (let i = 0; i < entries; i++) {
+        const entry = body + 8 + i * 8;
+        if (entry + 8 > view.byteLength) {
+            break;
+        }
+        const samples = view.getUint32(entry);
+        count += samples;
+        duration += samples * view.getUint32(entry + 4);
+    }
+    track.sampleCount = count;
+    track.sampleDuration = duration;
+}
+
+/**
+ * Text of an iTunes-style tag (a data box inside the tag box) or a
+ * QuickTime user data string (16-bit length and language, then the text)
+ */
+function parseTag(view, box) {
+    const body = box.start + box.headerSize;
+    const end = box.start + box.size;
+    const decode = (start, stop) => new TextDecoder('utf-8').decode(new Uint8Array(view.buffer, view.byteOffset + start, stop - start));
+
+    const data = readBoxes(view, body, end).find((child) => child.type === 'data');
+    if (data) {
+        return decode(data.start + data.headerSize + 8, data.start + data.size).trim();
+    }
+    if (body + 4 <= end) {
+        const length = view.getUint16(body);
+        return decode(body + 4, Math.min(body + 4 + length, end)).trim();
+    }
+    return '';
+}
+
+/**
+ * Reads byte ranges of a video from the offline cache or over HTTP
+ */
+class Mp4Source {
+    constructor(url, blob, fetchTimeout) {
+        this.url = url;
+        this.blob = blob;
+        this.fetchTimeout = fetchTimeout;
+        this.size = blob ? blob.size : null;
+    }
+
+    async read(start, end) {
+        if (this.blob) {
+            return this.blob.slice(start, end).arrayBuffer();
+        }
+
+        const controller = typeof AbortController === 'function' ? new AbortController() : null;
+        const timer = setTimeout(() => controller && controller.abort(), this.fetchTimeout);
+        try {
+            const response = await fetch(this.url, {
+                headers: { Range: `bytes=${start}-${end - 1}` },
+                signal: controller ? controller.signal : undefined
+            });
+            if (response.status !== 206) {
+                // Ignoring the range would mean downloading the whole video
+                if (controller) {
+                    controller.abort();
+                }
+                throw new Error(response.ok ? 'server does not support range requests' : `HTTP ${response.status}`);
+            }
+            const total = (response.headers.get('Content-Range') || '').split('/')[1];
+            if (total && total !== '*') {
+                this.size = Number(total);
+            }
+            return await response.arrayBuffer();
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+}
+
+class Mp4Inspector {
+    constructor(player, options) {
+        this.log = logger.child('metadata');
+        this.player = player;
+        this.probeSize = options.probeSize;
+        this.maxMoovSize = options.maxMoovSize;
+        this.fetchTimeout = options.fetchTimeout * 1000;
+    }
+
+    /**
+     * File information for url. head carries what the preflight check in loadVideo
+     * learned: { size, contentType, lastModified }
+     */
+    async inspect(url, head = {}) {
+        const blob = await this.player.mediaCache.getBlob(url);
+        const source = new Mp4Source(url, blob, this.fetchTimeout);
+        if (!source.size && head.size) {
+            source.size = head.size;
+        }
+
+        const boxes = await this.readTopLevelBoxes(source);
+        if (!boxes.moov) {
+            throw new Error(boxes.ftyp ? 'no moov box found' : 'not an MP4 file');
+        }
+
+        const info = parseMoov(new DataView(boxes.moov), { start: 0, headerSize: boxes.moovHeaderSize, size: boxes.moov.byteLength });
+        const ftyp = boxes.ftyp ? parseFtyp(new DataView(boxes.ftyp), { start: 0, headerSize: 8, size: boxes.ftyp.byteLength }) : {};
+        const size = source.size || null;
+
+        const result = Object.assign(info, {
+            url,
+            brand: ftyp.brand || null,
+            compatibleBrands: ftyp.compatibleBrands || [],
+            size,
+            bitrate: size && info.duration ? Math.round(size * 8 / info.duration) : null,
+            contentType: head.contentType || (blob && blob.type) || null,
+            lastModified: head.lastModified || null,
+            fromCache: !!blob
+        });
+        this.log.debug("inspect", {
+            url,
+            brand: result.brand,
+            video: result.video && result.video.codec,
+            audio: result.audio && result.audio.codec
+        });
+        return result;
+    }
+
+    /**
+     * Follow the top-level boxes until moov: { ftyp, moov, moovHeaderSize } as ArrayBuffers
+     */
+    async readTopLevelBoxes(source) {
+        const probe = await source.read(0, this.probeSize);
+        const probeView = new DataView(probe);
+        const result = {};
+        let offset = 0;
+
+        for (let i = 0; i < MP4_MAX_TOP_LEVEL_BOXES; i++) {
+            if (source.size && offset >= source.size) {
+                break;
+            }
+
+            let header;
+            if (offset + 16 <= probe.byteLength) {
+                header = readBoxHeader(probeView, offset);
+            } else {
+                const chunk = await source.read(offset, offset + 16);
+                if (chunk.byteLength < 8) {
+                    break;
+                }
+                header = readBoxHeader(new DataView(chunk), 0);
+                header.start = offset;
+            }
+            if (i === 0 && header.type !== 'ftyp' && header.type !== 'moov') {
+                break;
+            }
+            const size = header.size === null && source.size ? source.size - offset : header.size;
+            if (!size || size < header.headerSize) {
+                break;
+            }
+
+            if (header.type === 'ftyp' || header.type === 'moov') {
+                if (size > this.maxMoovSize) {
+                    throw new Error(`${header.type} box too large (${size} bytes)`);
+                }
+                result[header.type] = offset + size <= probe.byteLength
+                    ? probe.slice(offset, offset + size)
+                    : await source.read(offset, offset + size);
+                if (header.type === 'moov') {
+                    result.moovHeaderSize = header.headerSize;
+                    break;
+                }
+            }
+            offset += size;
+        }
+        return result;
+    }
+}
+
+/**
+ * The Video Info panel: file information and a thumbnail of the loaded video
+ */
+class VideoInfoPanel {
+    constructor(player, options) {
+        this.log = logger.child('metadata');
+        this.player = player;
+        this.enabled = options.enabled;
+        this.inspector = new Mp4Inspector(player, options);
+        this.currentUrl = null;
+    }
+
+    /**
+     * A video finished loading; head is what its preflight check learned,
+     * including the MP4 information when the check already read it
+     */
+    async show(url, head) {
+        this.currentUrl = url;
+        this.render({ url }, 'Reading file information...');
+        this.showThumbnail(url);
+
+        if (!this.enabled || detectSourceType(url) !== 'progressive') {
+            this.render(this.describeHead(url, head), null);
+            return;
+        }
+
+        try {
+            const info = head && head.mp4 ? head.mp4 : await this.inspector.inspect(url, head);
+            if (this.currentUrl === url) {
+                this.render(info, null);
+            }
+        } catch (error) {
+            this.log.info("show - no MP4 information", { url, error: error.message });
+            if (this.currentUrl === url) {
+                this.render(this.describeHead(url, head), `No MP4 information: ${error.message}`);
+            }
+        }
+    }
+
+    clear() {
+        this.currentUrl = null;
+        document.getElementById('info-details').innerHTML = '';
+        document.getElementById('info-status').textContent = 'No video loaded';
+        document.getElementById('info-thumbnail').style.display = 'none';
+    }
+
+    describeHead(url, head = {}) {
+        return { url, size: head.size || null, contentType: head.contentType || null, lastModified: head.lastModified || null };
+    }
+
+    showThumbnail(url) {
+        const image = document.getElementById('info-thumbnail');
+        const apply = (dataUrl) => {
+            if (dataUrl && this.currentUrl === url) {
+                image.src = dataUrl;
+                image.style.display = '';
+            }
+        };
+        image.style.display = 'none';
+        apply(this.player.thumbnails.get(url));
+        this.player.thumbnails.request(url).then(apply);
+    }
+
+    render(info, status) {
+        const video = info.video;
+        const audio = info.audio;
+        const tags = info.tags || {};
+        const rows = [
+            ['Title', tags.title || titleFromUrl(info.url)],
+            ['Artist', tags.artist],
+            ['Container', info.brand ? `MP4 (${info.brand})` : info.contentType],
+            ['Video', video ? `${video.codec || '?'}, ${video.width}×${video.height}` +
+                (video.frameRate ? `, ${video.frameRate} fps` : '') : null],
+            ['Audio', audio ? `${audio.codec || '?'}, ${audio.channels} ch, ${audio.sampleRate / 1000} kHz` : null],
+            ['Duration', info.duration ? formatPlaybackTime(info.duration) : null],
+            ['Bitrate', info.bitrate ? `${(info.bitrate / 1000000).toFixed(2)} Mbit/s` : null],
+            ['Size', info.size ? this.player.mediaCache.formatSize(info.size) : null],
+            ['Created', info.created ? new Date(info.created).toLocaleString() : tags.date],
+            ['Modified', info.lastModified],
+            ['Source', info.fromCache ? 'Offline cache' : null]
+        ];
+
+        const list = document.getElementById('info-details');
+        list.innerHTML = '';
+        rows.filter((row) => row[1]).forEach(([label, value]) => {
+            const term = document.createElement('dt');
+            term.textContent = label;
+            const description = document.createElement('dd');
+            description.textContent = value;
+            list.appendChild(term);
+            list.appendChild(description);
+        });
+        document.getElementById('info-status').textContent = status || '';
+    }
+}
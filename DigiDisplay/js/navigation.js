@@ -0,0 +1,252 @@
+/**
+ * DigiDisplay Spatial Navigation - Tizen Web App
+ * Arrow keys move focus to the nearest focusable element in the pressed
+ * direction, measured from bounding rectangles.
+ *
+ * Elements inside a data-focus-group container are searched first, so focus
+ * stays within a group until it has nothing further that way. Entering a
+ * group again returns to the element last focused in it. The focusable set
+ * is re-scanned after DOM changes that can affect it; text updates and the
+ * constantly changing debug console, tickers and progress bars are ignored.
+ */
+
+const FOCUSABLE_SELECTOR = 'button, input, select, textarea, a[href], [tabindex]:not([tabindex="-1"])';
+const FOCUS_DIRECTIONS = {
+    ArrowLeft: 'left',
+    ArrowRight: 'right',
+    ArrowUp: 'up',
+    ArrowDown: 'down'
+};
+const TEXT_INPUT_TYPES = ['text', 'url', 'search', 'email', 'password', 'tel', 'number'];
+// Parts of the page that change many times a second and never hold focusable elements
+const FOCUS_IGNORED_SELECTOR = '#debug, #notification-area, .ticker-text, #transport-progress, #transport-buffered';
+
+class SpatialNavigation {
+    constructor() {
+        this.log = logger.child('focus');
+        this.focusables = null;     // Cached focusable elements; null after a DOM change
+        this.lastFocus = {};        // Group name -> element last focused in it
+    }
+
+    start() {
+        document.addEventListener('keydown', (e) => this.handleKeyDown(e));
+        document.addEventListener('focusin', (e) => this.rememberFocus(e.target));
+
+        if (typeof MutationObserver === 'function') {
+            new MutationObserver((mutations) => {
+                if (mutations.some((mutation) => this.affectsFocus(mutation))) {
+                    this.focusables = null;
+                }
+            }).observe(document.body, {
+                childList: true,
+                subtree: true,
+                attributes: true,
+                attributeFilter: ['disabled', 'tabindex', 'class', 'style', 'hidden']
+            });
+        }
+    }
+
+    /**
+     * Whether a DOM change can alter which elements are focusable or where they are
+     */
+    affectsFocus(mutation) {
+        if (mutation.target.closest(FOCUS_IGNORED_SELECTOR)) {
+            return false;
+        }
+        if (mutation.type === 'childList') {
+            // Replacing a label's text leaves the focusable set as it was
+            return Array.from(mutation.addedNodes).concat(Array.from(mutation.removedNodes))
+                .some((node) => node.nodeType === Node.ELEMENT_NODE);
+        }
+        return true;
+    }
+
+    handleKeyDown(e) {
+        const direction = FOCUS_DIRECTIONS[e.key];
+        // Keys already handled elsewhere (the transport bar, a locked signage screen) are left alone
+        if (!direction || e.defaultPrevented) {
+            return;
+        }
+
+        const current = document.activeElement && document.activeElement !== document.body
+            ? document.activeElement
+            : null;
+        if (current && this.keepsArrowKey(current, direction)) {
+            return;
+        }
+
+        e.preventDefault();
+        const next = current ? this.findNext(current, direction) : this.findFirst();
+        if (next) {
+            next.focus();
+        }
+    }
+
+    /**
+     * Text fields keep Left/Right for the caret until it reaches the end it
+     * is moving towards (text areas likewise Up/Down, by line); sliders keep
+     * Left/Right for their value
+     */
+    keepsArrowKey(element, direction) {
+        const horizontal = direction === 'left' || direction === 'right';
+        if (element.tagName === 'TEXTAREA') {
+            return this.caretKeepsKey(element, direction);
+        }
+        if (element.tagName !== 'INPUT') {
+            return false;
+        }
+        if (element.type === 'range') {
+            return horizontal;
+        }
+        if (!TEXT_INPUT_TYPES.includes(element.type) || !horizontal) {
+            return false;
+        }
+        return this.caretKeepsKey(element, direction);
+    }
+
+    caretKeepsKey(element, direction) {
+        let start;
+        let end;
+        try {
+            start = element.selectionStart;
+            end = element.selectionEnd;
+        } catch (ignore) {
+            // Input types without a caret API (number, email) keep their arrows
+            return true;
+        }
+        if (start === null || start !== end) {
+            return true;
+        }
+        if (direction === 'up') {
+            return start > 0 && element.value.lastIndexOf('\n', start - 1) !== -1;
+        }
+        if (direction === 'down') {
+            return element.value.indexOf('\n', end) !== -1;
+        }
+        return direction === 'left' ? start > 0 : end < element.value.length;
+    }
+
+    getFocusables() {
+        if (!this.focusables) {
+            this.focusables = Array.from(document.querySelectorAll(FOCUSABLE_SELECTOR));
+            this.log.trace("getFocusables - rescanned", { count: this.focusables.length });
+        }
+        return this.focusables.filter((element) => this.isFocusable(element));
+    }
+
+    /**
+     * Enabled and actually on screen: hidden sections have no size, the
+     * hidden transport bar has visibility: hidden
+     */
+    isFocusable(element) {
+        if (element.disabled || !element.isConnected) {
+            return false;
+        }
+        const rect = element.getBoundingClientRect();
+        if (rect.width === 0 || rect.height === 0) {
+            return false;
+        }
+        return window.getComputedStyle(element).visibility !== 'hidden';
+    }
+
+    getGroup(element) {
+        const container = element.closest('[data-focus-group]');
+        return container ? container.getAttribute('data-focus-group') : null;
+    }
+
+    rememberFocus(element) {
+        const group = this.getGroup(element);
+        if (group) {
+            this.lastFocus[group] = element;
+        }
+    }
+
+    /**
+     * Nothing focused yet: start from the group remembered last, else the top left
+     */
+    findFirst() {
+        const candidates = this.getFocusables();
+        const remembered = Object.keys(this.lastFocus)
+            .map((group) => this.lastFocus[group])
+            .filter((element) => candidates.includes(element));
+        if (remembered.length > 0) {
+            return remembered[remembered.length - 1];
+        }
+        return candidates.reduce((best, element) => {
+            if (!best) {
+                return element;
+            }
+            const rect = element.getBoundingClientRect();
+            const bestRect = best.getBoundingClientRect();
+            return rect.top + rect.left < bestRect.top + bestRect.left ? element : best;
+        }, null);
+    }
+
+    /**
+     * Nearest element in the direction, preferring the current group
+     */
+    findNext(current, direction) {
+        const candidates = this.getFocusables().filter((element) => element !== current);
+        const group = this.getGroup(current);
+        const from = current.getBoundingClientRect();
+
+        if (group) {
+            const inGroup = this.findNearest(from, direction, candidates.filter((element) => this.getGroup(element) === group));
+            if (inGroup) {
+                return inGroup;
+            }
+        }
+
+        const next = this.findNearest(from, direction, candidates.filter((element) => !group || this.getGroup(element) !== group));
+        if (!next) {
+            return null;
+        }
+
+        // Entering another group returns to where it was left
+        const nextGroup = this.getGroup(next);
+        const remembered = nextGroup && this.lastFocus[nextGroup];
+        if (remembered && remembered !== next && candidates.includes(remembered)) {
+            return remembered;
+        }
+        return next;
+    }
+
+    findNearest(from, direction, candidates) {
+        let best = null;
+        let bestScore = Infinity;
+        candidates.forEach((element) => {
+            const score = this.score(from, element.getBoundingClientRect(), direction);
+            if (score < bestScore) {
+                best = element;
+                bestScore = score;
+            }
+        });
+        return best;
+    }
+
+    /**
+     * Distance along the direction plus a penalty for being off to the side;
+     * Infinity for elements whose centre is not in that direction at all
+     */
+    score(from, to, direction) {
+        const horizontal = direction === 'left' || direction === 'right';
+        const forward = direction === 'right' || direction === 'down';
+        const fromCentre = horizontal ? from.left + from.width / 2 : from.top + from.height / 2;
+        const toCentre = horizontal ? to.left + to.width / 2 : to.top + to.height / 2;
+        if (forward ? toCentre <= fromCentre : toCentre >= fromCentre) {
+            return Infinity;
+        }
+
+        let distance;
+        let offset;
+        if (horizontal) {
+            distance = forward ? to.left - from.right : from.left - to.right;
+            offset = Math.max(0, to.top - from.bottom, from.top - to.bottom);
+        } else {
+            distance = forward ? to.top - from.bottom : from.top - to.bottom;
+            offset = Math.max(0, to.left - from.right, from.left - to.right);
+        }
+        // Overlapping elements count as adjacent
+        return Math.max(0, distance) + offset * 2;
+    }
+}
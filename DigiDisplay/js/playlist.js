@@ -0,0 +1,381 @@
+/**
+ * DigiDisplay Playlist - Tizen Web App
+ * Ordered, looping list of items: videos play through VideoPlayer.loadVideo
+ * (or straight from the VideoDeck when preloaded), images and web content
+ * through the ContentPresenter
+ */
+
+class Playlist {
+    constructor(player) {
+        this.log = logger.child('playlist');
+        this.player = player;
+        this.items = [];
+        this.currentIndex = -1;
+        this.currentItem = null; // Kept separately so it survives updateItems removing it
+        this.playsRemaining = 0;
+        this.active = false;
+        this.playToken = 0; // Incremented on every transition so stale loads can bail out
+        this.durationTimer = null;
+        this.durationStartedAt = null; // When the current video's duration started counting
+        this.retryTimer = null;
+        this.consecutiveFailures = 0;
+        this.retryDelay = 30000; // Wait before retrying when every item has failed
+    }
+
+    /**
+     * Replace the playlist contents.
+     * Each item is a URL string or { url, id, type, title, duration, loop, mirrors, subtitles, chapters }:
+     * - type: video, image, html or url (default guessed from the URL)
+     * - mirrors: further URLs of the same video, tried in order when url fails, see failover.js
+     * - subtitles: caption files for video items, see subtitles.js
+     * - chapters: [{ time, title }] markers for video items, see transport.js
+     * - duration: seconds to show the item; videos restart if they end early
+     * - loop: number of times to play the item through before advancing (default 1)
+     */
+    setItems(items) {
+        this.items = (items || []).map((item, index) => this.normalizeItem(item, index));
+        this.log.debug("setItems", { items: this.items.length });
+
+        if (this.currentIndex >= this.items.length) {
+            this.currentIndex = -1;
+        }
+    }
+
+    /**
+     * Replace the playlist contents without interrupting the item that is playing.
+     * If the current item is still present it keeps playing at its new position;
+     * otherwise it finishes its current play and the loop continues from the
+     * item now occupying its old position.
+     */
+    updateItems(items) {
+        const current = this.currentItem;
+        this.items = (items || []).map((item, index) => this.normalizeItem(item, index));
+        this.log.debug("updateItems", { items: this.items.length });
+
+        if (!current) {
+            this.currentIndex = -1;
+            return;
+        }
+
+        const newIndex = this.items.findIndex((item) => item.id === current.id && item.url === current.url);
+        if (newIndex !== -1) {
+            this.currentIndex = newIndex;
+            this.currentItem = this.items[newIndex];
+            // A running video keeps the time it has already shown against its new duration
+            if (this.currentItem.duration !== current.duration && this.durationStartedAt !== null) {
+                this.log.debug("updateItems - duration of the current item changed", { id: current.id, duration: this.currentItem.duration });
+                this.scheduleDuration(Date.now() - this.durationStartedAt);
+            }
+            return;
+        }
+
+        this.log.debug("updateItems - current item was removed, finishing it first", { id: current.id });
+        this.currentIndex = Math.min(this.currentIndex, this.items.length) - 1;
+        this.currentItem = Object.assign({}, current, { duration: null });
+        this.playsRemaining = 1;
+    }
+
+    normalizeItem(item, index) {
+        const source = typeof item === 'string' ? { url: item } : item;
+        const duration = Number(source.duration);
+        const loop = parseInt(source.loop, 10);
+        const mirrors = Array.isArray(source.mirrors) ? source.mirrors.filter((url) => typeof url === 'string') : [];
+
+        return {
+            id: source.id || `item-${index + 1}`,
+            url: source.url,
+            type: CONTENT_TYPES.includes(source.type) ? source.type : detectContentType(source.url),
+            title: source.title || source.url,
+            duration: duration > 0 ? duration : null,
+            loop: loop > 0 ? loop : 1,
+            mirrors,
+            sources: [source.url].concat(mirrors),
+            subtitles: Array.isArray(source.subtitles) ? source.subtitles : [],
+            chapters: Array.isArray(source.chapters) ? source.chapters : []
+        };
+    }
+
+    add(item) {
+        this.items.push(this.normalizeItem(item, this.items.length));
+    }
+
+    clear() {
+        this.stop();
+        this.items = [];
+        this.currentIndex = -1;
+        this.currentItem = null;
+    }
+
+    getCurrentItem() {
+        return this.currentItem;
+    }
+
+    /**
+     * The current item, if url is its address or one of its mirrors
+     */
+    findCurrentItem(url) {
+        const item = this.currentItem;
+        return item && item.sources.includes(url) ? item : null;
+    }
+
+    /**
+     * Start looping from the given index
+     */
+    start(index = 0) {
+        if (this.items.length === 0) {
+            this.log.debug("start - playlist is empty");
+            return Promise.resolve();
+        }
+        this.active = true;
+        this.consecutiveFailures = 0;
+        return this.jumpTo(index);
+    }
+
+    /**
+     * Stop advancing; the current video element is left as is
+     */
+    stop() {
+        this.active = false;
+        this.playToken++;
+        this.clearTimers();
+        this.player.deck.cancel();
+        this.log.debug("stop - playlist stopped");
+    }
+
+    next() {
+        return this.jumpTo(this.wrapIndex(this.currentIndex + 1));
+    }
+
+    previous() {
+        return this.jumpTo(this.wrapIndex(this.currentIndex - 1));
+    }
+
+    /**
+     * Load and play the item at index, restarting its loop count
+     */
+    async jumpTo(index) {
+        if (this.items.length === 0) {
+            return;
+        }
+        if (index < 0 || index >= this.items.length) {
+            throw new Error(`Playlist index out of range: ${index}`);
+        }
+
+        this.active = true;
+        this.currentIndex = index;
+        this.currentItem = this.items[index];
+        this.playsRemaining = this.items[index].loop;
+        await this.playCurrent();
+    }
+
+    wrapIndex(index) {
+        const length = this.items.length;
+        return ((index % length) + length) % length;
+    }
+
+    /**
+     * Load the current item and start playback; resume, when given, carries the
+     * { position } in seconds to seek to and the milliseconds its duration has { elapsed }
+     */
+    async playCurrent(resume = null) {
+        const token = ++this.playToken;
+        const item = this.getCurrentItem();
+        this.clearTimers();
+
+        this.log.debug("playCurrent", { index: this.currentIndex + 1, items: this.items.length, url: item.url });
+        this.player.updateAppStatus(`Playlist item ${this.currentIndex + 1} of ${this.items.length}`);
+
+        let source = null; // The video source that loaded
+        try {
+            if (!this.player.isValidItemUrl(item.url, item.type)) {
+                throw new Error('Invalid URL');
+            }
+            const preferred = this.player.failover.preferredSource(item);
+            if (item.type === 'video' && this.player.deck.isReady(preferred)) {
+                this.player.showPreloadedVideo(preferred);
+                source = preferred;
+            } else if (item.type === 'video') {
+                // A preload that is not ready yet would only compete with the load
+                this.player.deck.cancel();
+                source = await this.player.failover.load(item, () => token === this.playToken);
+            } else {
+                await this.player.content.load(item);
+            }
+        } catch (error) {
+            if (token === this.playToken) {
+                this.handleItemFailure(error);
+            }
+            return;
+        }
+
+        // Another transition happened while this item was loading
+        if (token !== this.playToken) {
+            this.log.debug("playCurrent - superseded, ignoring load", { url: item.url });
+            return;
+        }
+
+        if (source) {
+            this.player.updateAppStatus(`Playlist item ${this.currentIndex + 1} of ${this.items.length} from ` +
+                this.player.failover.describeSource(item, source));
+        }
+        this.preloadNext();
+
+        // Non-video items time themselves and report 'finished' when their duration is up
+        if (item.type !== 'video') {
+            this.player.content.show();
+            return;
+        }
+
+        if (resume && resume.position > 0) {
+            document.getElementById('video-player').currentTime = resume.position;
+        }
+        this.scheduleDuration(resume ? resume.elapsed : 0);
+        this.player.playWhenReady();
+    }
+
+    /**
+     * Load the current video again through failover, e.g. after reconnecting:
+     * from the preferred source, at position seconds, keeping the time its duration has run
+     */
+    reloadCurrent(position = 0) {
+        const item = this.getCurrentItem();
+        if (!this.active || !item || item.type !== 'video') {
+            return Promise.resolve();
+        }
+        const elapsed = this.durationStartedAt !== null ? Date.now() - this.durationStartedAt : 0;
+        this.log.info("reloadCurrent - reloading", { url: item.url, position, elapsed });
+        return this.playCurrent({ position, elapsed });
+    }
+
+    /**
+     * Advance once the current video's duration is up, elapsed milliseconds of which have already passed
+     */
+    scheduleDuration(elapsed = 0) {
+        clearTimeout(this.durationTimer);
+        this.durationTimer = null;
+        this.durationStartedAt = Date.now() - elapsed;
+
+        const item = this.currentItem;
+        if (!item.duration) {
+            return;
+        }
+        this.durationTimer = setTimeout(() => {
+            this.log.debug("scheduleDuration - duration elapsed", { url: item.url });
+            this.player.proofOfPlay.complete();
+            this.advance();
+        }, Math.max(item.duration * 1000 - elapsed, 0));
+    }
+
+    /**
+     * Warm up the item after the current one so it can be swapped in straight away
+     */
+    preloadNext() {
+        if (this.items.length > 1) {
+            const next = this.items[this.wrapIndex(this.currentIndex + 1)];
+            if (next.type === 'video') {
+                this.player.deck.preload(this.player.failover.preferredSource(next));
+            } else {
+                this.player.content.preload(next);
+            }
+        }
+    }
+
+    /**
+     * Called by VideoPlayer when playback of the current item has started
+     */
+    handlePlaying() {
+        this.consecutiveFailures = 0;
+    }
+
+    /**
+     * Called by VideoPlayer on the video 'ended' event and when other content finishes
+     */
+    handleEnded() {
+        const item = this.getCurrentItem();
+        if (!this.active || !item) {
+            return;
+        }
+
+        // Timed videos keep replaying until their duration timer fires
+        if (item.duration && item.type === 'video') {
+            this.log.debug("handleEnded - replaying timed item", { url: item.url });
+            this.player.restartVideo();
+            return;
+        }
+
+        this.playsRemaining--;
+        if (this.playsRemaining > 0) {
+            this.log.debug("handleEnded - plays remaining", { url: item.url, playsRemaining: this.playsRemaining });
+            if (item.type === 'video') {
+                this.player.restartVideo();
+            } else {
+                this.player.content.restart();
+            }
+            return;
+        }
+
+        this.advance();
+    }
+
+    /**
+     * Called by VideoPlayer when the video element reports an error during playback
+     */
+    handleError(error) {
+        if (!this.active) {
+            return;
+        }
+        this.handleItemFailure(error);
+    }
+
+    handleItemFailure(error) {
+        const item = this.getCurrentItem();
+        this.consecutiveFailures++;
+        this.log.warn("item failed", { url: item ? item.url : null, error: error && error.message ? error.message : String(error) });
+
+        if (this.consecutiveFailures >= this.items.length) {
+            this.log.error("every item failed - retrying", { retryDelay: this.retryDelay });
+            this.player.updateAppStatus('All playlist items failed - retrying');
+            this.clearTimers();
+            this.consecutiveFailures = 0;
+            const token = ++this.playToken;
+            this.retryTimer = setTimeout(() => {
+                if (this.active && token === this.playToken) {
+                    this.advance();
+                }
+            }, this.retryDelay);
+            return;
+        }
+
+        this.advance();
+    }
+
+    /**
+     * Skip the wait after every item failed, e.g. once the network is back; false when not waiting
+     */
+    retryNow() {
+        if (!this.active || !this.retryTimer) {
+            return false;
+        }
+        this.log.info("retryNow - retrying without waiting");
+        this.clearTimers();
+        this.advance();
+        return true;
+    }
+
+    advance() {
+        if (!this.active) {
+            return;
+        }
+        this.next().catch(error => {
+            this.log.error("advance failed", { error: error.message });
+        });
+    }
+
+    clearTimers() {
+        clearTimeout(this.durationTimer);
+        clearTimeout(this.retryTimer);
+        this.durationTimer = null;
+        this.durationStartedAt = null;
+        this.retryTimer = null;
+    }
+}
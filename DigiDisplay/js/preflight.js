@@ -0,0 +1,285 @@
+/**
+ * DigiDisplay Media Preflight - Tizen Web App
+ * Checks a progressive video before it is handed to the video element: the
+ * HTTP status, Content-Type and Content-Length of its first bytes, the
+ * container recognised from those bytes, and whether the platform can play
+ * the container and (for MP4) the codecs inside it.
+ *
+ * Loading failures, from the preflight or from the video element, are
+ * reported as MediaLoadError with one of MEDIA_ERROR_TYPES and structured
+ * details, so every part of the app describes them the same way.
+ */
+
+const MEDIA_ERROR_TYPES = ['network', 'http_status', 'cors', 'unsupported_container', 'unsupported_codec', 'timeout', 'decode'];
+
+const MEDIA_ERROR_MESSAGES = {
+    network: 'Network error - check the connection and the URL',
+    http_status: 'The server refused the video',
+    cors: 'The server does not allow access from this app',
+    unsupported_container: 'Video format not supported',
+    unsupported_codec: 'Video codec not supported on this screen',
+    timeout: 'Video took too long to load',
+    decode: 'Video is corrupted or could not be decoded'
+};
+
+const CONTAINER_MIME_TYPES = { mp4: 'video/mp4', webm: 'video/webm', matroska: 'video/x-matroska', ts: 'video/mp2t' };
+const MP4_LEADING_BOXES = ['ftyp', 'moov', 'mdat', 'free', 'skip', 'wide', 'pdin'];
+const TS_PACKET_SIZE = 188;
+const NON_MEDIA_CONTENT_TYPE = /^(text\/|application\/(json|xml|xhtml\+xml)\b)/i;
+
+class MediaLoadError extends Error {
+    constructor(type, message, details = {}) {
+        super(message);
+        this.name = 'MediaLoadError';
+        this.type = type;
+        this.details = details;
+    }
+
+    /**
+     * Message for the operator: the type's description plus the detail that explains it
+     */
+    describe() {
+        const details = this.details;
+        let detail = this.message;
+        if (this.type === 'http_status') {
+            detail = `HTTP ${details.status}${details.statusText ? ' ' + details.statusText : ''}`;
+        } else if (this.type === 'unsupported_codec') {
+            detail = details.codec;
+        } else if (this.type === 'timeout') {
+            detail = `no data after ${details.seconds} seconds`;
+        }
+        return `${MEDIA_ERROR_MESSAGES[this.type]} (${detail})`;
+    }
+
+    /**
+     * Typed error for the error of a video element (a MediaError, possibly null)
+     */
+    static fromMediaError(mediaError, details = {}) {
+        if (!mediaError) {
+            return new MediaLoadError('decode', 'media error without details', Object.assign({ code: null }, details));
+        }
+        const message = mediaError.message || `media error ${mediaError.code}`;
+        const withCode = Object.assign({ code: mediaError.code }, details);
+        switch (mediaError.code) {
+            case mediaError.MEDIA_ERR_ABORTED:
+                return new MediaLoadError('network', 'loading was aborted', withCode);
+            case mediaError.MEDIA_ERR_NETWORK:
+                return new MediaLoadError('network', message, withCode);
+            case mediaError.MEDIA_ERR_SRC_NOT_SUPPORTED:
+                return new MediaLoadError('unsupported_container', message, withCode);
+            default:
+                return new MediaLoadError('decode', message, withCode);
+        }
+    }
+}
+
+/**
+ * Operator-facing message for any loading failure
+ */
+function describeLoadError(error) {
+    return error instanceof MediaLoadError ? error.describe() : error.message;
+}
+
+/**
+ * Container recognised from the first bytes of a file, or null
+ */
+function sniffContainer(bytes) {
+    if (bytes.length >= 8) {
+        const type = String.fromCharCode(bytes[4], bytes[5], bytes[6], bytes[7]);
+        if (MP4_LEADING_BOXES.includes(type)) {
+            return 'mp4';
+        }
+    }
+    if (bytes.length >= 4 && bytes[0] === 0x1A && bytes[1] === 0x45 && bytes[2] === 0xDF && bytes[3] === 0xA3) {
+        // EBML header; the DocType tells WebM from other Matroska files
+        const header = String.fromCharCode.apply(null, bytes.subarray(0, 64));
+        return header.includes('webm') ? 'webm' : 'matroska';
+    }
+    // MPEG-TS packets each start with the sync byte 0x47
+    if (bytes.length > TS_PACKET_SIZE && bytes[0] === 0x47 && bytes[TS_PACKET_SIZE] === 0x47) {
+        return 'ts';
+    }
+    return null;
+}
+
+class MediaPreflight {
+    constructor(player, options) {
+        this.log = logger.child('preflight');
+        this.player = player;
+        this.enabled = options.enabled;
+        this.probeSize = options.probeSize;
+        this.codecCheck = options.codecCheck;
+        this.fetchTimeout = options.fetchTimeout;
+        this.probe = document.createElement('video');     // Only asked canPlayType
+    }
+
+    /**
+     * Check the video at url; resolves with what was learned about it
+     * ({ size, contentType, lastModified, container, mp4 }) or rejects with a MediaLoadError
+     */
+    async check(url) {
+        if (!this.enabled) {
+            return {};
+        }
+        const blob = await this.player.mediaCache.getBlob(url);
+        let head;
+        let bytes;
+        if (blob) {
+            head = { size: blob.size, contentType: blob.type || null, lastModified: null };
+            bytes = new Uint8Array(await blob.slice(0, this.probeSize).arrayBuffer());
+        } else {
+            const result = await this.fetchStart(url);
+            if (!result) {
+                return {};
+            }
+            head = result.head;
+            bytes = result.bytes;
+        }
+
+        if (head.size === 0 || bytes.length === 0) {
+            throw new MediaLoadError('unsupported_container', 'the file is empty', { url, size: head.size });
+        }
+        if (head.contentType && NON_MEDIA_CONTENT_TYPE.test(head.contentType)) {
+            throw new MediaLoadError('unsupported_container', `server sent ${head.contentType}`, { url, contentType: head.contentType });
+        }
+
+        head.container = sniffContainer(bytes);
+        if (!head.container) {
+            throw new MediaLoadError('unsupported_container', 'unrecognised file format', {
+                url,
+                contentType: head.contentType,
+                signature: Array.from(bytes.subarray(0, 8)).map((byte) => byte.toString(16).padStart(2, '0')).join(' ')
+            });
+        }
+        const mimeType = CONTAINER_MIME_TYPES[head.container];
+        if (this.probe.canPlayType(mimeType) === '') {
+            throw new MediaLoadError('unsupported_container', `${head.container} files cannot be played here`, { url, container: head.container, mimeType });
+        }
+
+        if (head.container === 'mp4' && this.codecCheck) {
+            head.mp4 = await this.checkCodecs(url, head, mimeType);
+        }
+        this.log.debug("check - passed", { url, container: head.container, size: head.size, contentType: head.contentType });
+        return head;
+    }
+
+    /**
+     * Ranged GET of the first bytes: { head, bytes }, or null when the server
+     * does not allow this app to read the file (the video element does not need it to)
+     */
+    async fetchStart(url) {
+        const controller = typeof AbortController === 'function' ? new AbortController() : null;
+        const timer = setTimeout(() => controller && controller.abort(), this.fetchTimeout * 1000);
+        try {
+            let response;
+            try {
+                response = await fetch(url, {
+                    headers: { Range: `bytes=0-${this.probeSize - 1}` },
+                    signal: controller ? controller.signal : undefined
+                });
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    throw this.timeoutError(url);
+                }
+                const failure = await this.classifyFetchFailure(url, error);
+                if (failure.type === 'cors') {
+                    this.log.info("fetchStart - skipping checks", { url, type: failure.type, error: failure.message });
+                    return null;
+                }
+                throw failure;
+            }
+
+            if (!response.ok) {
+                throw new MediaLoadError('http_status', `HTTP ${response.status}`, {
+                    url,
+                    status: response.status,
+                    statusText: response.statusText
+                });
+            }
+
+            const total = (response.headers.get('Content-Range') || '').split('/')[1];
+            const length = response.headers.get('Content-Length');
+            const head = {
+                size: total && total !== '*' ? Number(total) : response.status === 200 && length !== null ? Number(length) : null,
+                contentType: response.headers.get('Content-Type'),
+                lastModified: response.headers.get('Last-Modified')
+            };
+            const bytes = await this.readStart(response).catch((error) => {
+                throw error.name === 'AbortError' ? this.timeoutError(url) : new MediaLoadError('network', error.message, { url });
+            });
+            return { head, bytes };
+        } finally {
+            clearTimeout(timer);
+            // A server that ignores Range would otherwise send the whole video
+            if (controller) {
+                controller.abort();
+            }
+        }
+    }
+
+    timeoutError(url) {
+        return new MediaLoadError('timeout', 'preflight request timed out', { url, seconds: this.fetchTimeout });
+    }
+
+    async readStart(response) {
+        if (!response.body || !response.body.getReader) {
+            return new Uint8Array(await response.arrayBuffer()).subarray(0, this.probeSize);
+        }
+        const reader = response.body.getReader();
+        const bytes = new Uint8Array(this.probeSize);
+        let length = 0;
+        while (length < this.probeSize) {
+            const { done, value } = await reader.read();
+            if (done) {
+                break;
+            }
+            const chunk = value.subarray(0, this.probeSize - length);
+            bytes.set(chunk, length);
+            length += chunk.length;
+        }
+        reader.cancel().catch(() => {});
+        return bytes.subarray(0, length);
+    }
+
+    /**
+     * fetch() reports blocked cross-origin reads and unreachable servers alike;
+     * a no-cors request still succeeds when only the CORS headers are missing
+     */
+    async classifyFetchFailure(url, error) {
+        try {
+            await fetch(url, { method: 'HEAD', mode: 'no-cors' });
+            return new MediaLoadError('cors', 'no Access-Control-Allow-Origin header', { url });
+        } catch (ignore) {
+            return new MediaLoadError('network', error.message, { url });
+        }
+    }
+
+    /**
+     * Read the MP4's codecs and ask the platform about each. Files that cannot
+     * be inspected are let through; the video element has the final say.
+     * Only full RFC 6381 strings (avc1.640028, mp4a.40.2) are checked: for a
+     * bare fourcc such as hvc1 or av01 the platform often answers '' even when
+     * it plays the file, so those count as unknown
+     */
+    async checkCodecs(url, head, mimeType) {
+        let info;
+        try {
+            info = await this.player.videoInfo.inspector.inspect(url, head);
+        } catch (error) {
+            this.log.info("checkCodecs - codecs unknown", { url, error: error.message });
+            return null;
+        }
+
+        [info.video, info.audio].forEach((track) => {
+            if (track && track.codec && track.codec.includes('.') &&
+                this.probe.canPlayType(`${mimeType}; codecs="${track.codec}"`) === '') {
+                throw new MediaLoadError('unsupported_codec', `${track.codec} cannot be played here`, {
+                    url,
+                    codec: track.codec,
+                    mimeType
+                });
+            }
+        });
+        return info;
+    }
+}
@@ -0,0 +1,278 @@
+/**
+ * DigiDisplay Proof of Play - Tizen Web App
+ * Records every airing of an item and uploads the records in batches.
+ *
+ * Records are appended once, when a play closes, to a durable queue in
+ * local storage and only removed after the endpoint acknowledges them.
+ * The play in progress is snapshotted too, so a reboot closes it as
+ * 'interrupted' on the next start instead of losing it. Each record has
+ * a unique id, and acknowledged ids are remembered so no record is queued
+ * or sent again. Only a reboot between the endpoint's answer and that note
+ * can repeat a batch, so the endpoint should still ignore ids it has stored.
+ *
+ * playedSeconds counts only time spent playing: pauses and buffering are left out.
+ */
+
+const POP_QUEUE_KEY = 'digidisplay.pop.queue';
+const POP_CURRENT_KEY = 'digidisplay.pop.current';
+const POP_SENT_KEY = 'digidisplay.pop.sent';
+const POP_SENT_SIZE = 1000;     // Acknowledged ids remembered; far more than a queue holds between uploads
+const POP_SNAPSHOT_INTERVAL = 10000;
+
+/**
+ * Unique id for a record; crypto.randomUUID is missing on older Tizen runtimes
+ */
+function generateRecordId() {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+        return window.crypto.randomUUID();
+    }
+    return Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 10) + Math.random().toString(36).slice(2, 10);
+}
+
+class ProofOfPlayRecorder {
+    constructor(player, options) {
+        this.log = logger.child('pop');
+        this.player = player;
+        this.enabled = options.enabled;
+        this.url = options.url;
+        this.batchSize = options.batchSize;
+        this.uploadInterval = options.uploadInterval * 1000;
+        this.maxQueueSize = options.maxQueueSize;
+        this.retryBase = options.retryBase * 1000;
+        this.retryMax = options.retryMax * 1000;
+        this.current = null;        // Play in progress
+        this.playingSince = 0;      // When the current stretch of playing began, 0 while not playing
+        this.failures = 0;
+        this.uploading = false;
+        this.uploadTimer = null;
+        this.snapshotTimer = null;
+    }
+
+    /**
+     * Close a play left open by a reboot and start uploading
+     */
+    start() {
+        if (!this.enabled) {
+            return;
+        }
+
+        const orphan = this.readJson(POP_CURRENT_KEY, null);
+        if (orphan) {
+            this.log.info("start - closing play interrupted by restart", { id: orphan.id, url: orphan.url });
+            orphan.endedAt = orphan.updatedAt;
+            orphan.status = 'interrupted';
+            delete orphan.updatedAt;
+            this.enqueue(orphan);
+            localStorage.removeItem(POP_CURRENT_KEY);
+        }
+
+        this.snapshotTimer = setInterval(() => this.snapshot(), POP_SNAPSHOT_INTERVAL);
+        this.scheduleUpload(this.uploadInterval);
+    }
+
+    /**
+     * Hooked to the video 'playing' event and to content items being shown
+     */
+    onPlaying(url = this.player.currentVideo) {
+        if (!this.enabled) {
+            return;
+        }
+
+        if (this.current && this.current.url !== url) {
+            this.close('interrupted');
+        }
+        if (!this.current) {
+            const item = this.player.playlist.findCurrentItem(url);
+            this.current = {
+                id: generateRecordId(),
+                itemId: item ? item.id : null,
+                url,
+                startedAt: Date.now(),
+                endedAt: null,
+                playedSeconds: 0,
+                status: 'playing'
+            };
+            this.log.debug("onPlaying - play started", { id: this.current.id, itemId: this.current.itemId, url });
+        }
+        if (!this.playingSince) {
+            this.playingSince = Date.now();
+        }
+        this.snapshot();
+    }
+
+    /**
+     * Hooked to the video 'pause' and 'waiting' events: the clock stops until
+     * 'playing' fires again, and the play stays open so it can resume
+     */
+    onPause() {
+        this.accumulate();
+        this.snapshot();
+    }
+
+    /**
+     * Hooked to the video 'ended' event and to content items finishing
+     */
+    onEnded() {
+        this.close('completed');
+    }
+
+    /**
+     * Hooked to video errors
+     */
+    onError(message) {
+        if (this.current) {
+            this.current.error = message;
+        }
+        this.close('error');
+    }
+
+    /**
+     * A timed playlist item reached its display duration
+     */
+    complete() {
+        this.close('completed');
+    }
+
+    /**
+     * The source is about to change while a play is open
+     */
+    interrupt() {
+        this.close('interrupted');
+    }
+
+    accumulate() {
+        if (this.current && this.playingSince) {
+            this.current.playedSeconds += (Date.now() - this.playingSince) / 1000;
+        }
+        this.playingSince = 0;
+    }
+
+    close(status) {
+        if (!this.enabled || !this.current) {
+            return;
+        }
+
+        this.accumulate();
+        const record = this.current;
+        this.current = null;
+        record.endedAt = Date.now();
+        record.status = status;
+        record.playedSeconds = Math.round(record.playedSeconds * 10) / 10;
+
+        this.log.info("play closed", { id: record.id, url: record.url, status, playedSeconds: record.playedSeconds });
+        // Queue first, then drop the snapshot, so a crash in between cannot lose the play
+        this.enqueue(record);
+        localStorage.removeItem(POP_CURRENT_KEY);
+    }
+
+    /**
+     * Persist the open play with its played time so far
+     */
+    snapshot() {
+        if (!this.current) {
+            return;
+        }
+        const snapshot = Object.assign({}, this.current, { updatedAt: Date.now() });
+        if (this.playingSince) {
+            snapshot.playedSeconds += (Date.now() - this.playingSince) / 1000;
+        }
+        this.writeJson(POP_CURRENT_KEY, snapshot);
+    }
+
+    enqueue(record) {
+        const queue = this.readJson(POP_QUEUE_KEY, []);
+        if (queue.some((queued) => queued.id === record.id)) {
+            return;
+        }
+        // A play snapshotted again after its record was uploaded must not go out twice
+        if (this.readJson(POP_SENT_KEY, []).includes(record.id)) {
+            this.log.debug("enqueue - record already uploaded", { id: record.id });
+            return;
+        }
+        queue.push(record);
+        if (queue.length > this.maxQueueSize) {
+            const dropped = queue.splice(0, queue.length - this.maxQueueSize);
+            this.log.warn("enqueue - queue full, dropped oldest records", { dropped: dropped.length });
+        }
+        this.writeJson(POP_QUEUE_KEY, queue);
+    }
+
+    getQueueLength() {
+        return this.readJson(POP_QUEUE_KEY, []).length;
+    }
+
+    scheduleUpload(delay) {
+        clearTimeout(this.uploadTimer);
+        this.uploadTimer = setTimeout(() => this.upload(), delay);
+    }
+
+    /**
+     * Send the oldest batch; on failure back off exponentially with jitter
+     */
+    async upload() {
+        if (this.uploading) {
+            return;
+        }
+
+        const sentIds = this.readJson(POP_SENT_KEY, []);
+        const batch = this.readJson(POP_QUEUE_KEY, []).filter((record) => !sentIds.includes(record.id)).slice(0, this.batchSize);
+        if (!this.url || batch.length === 0) {
+            this.scheduleUpload(this.uploadInterval);
+            return;
+        }
+
+        this.uploading = true;
+        try {
+            const response = await fetch(this.url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ deviceId: this.player.provisioning.getDeviceId(), records: batch })
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            // Note the ids first: from then on nothing queues or sends them again
+            this.markSent(batch.map((record) => record.id));
+            // Re-read the queue: records may have been added during the upload
+            const sent = this.readJson(POP_SENT_KEY, []);
+            const remaining = this.readJson(POP_QUEUE_KEY, []).filter((record) => !sent.includes(record.id));
+            this.writeJson(POP_QUEUE_KEY, remaining);
+
+            this.failures = 0;
+            this.log.info("upload - batch accepted", { records: batch.length, remaining: remaining.length });
+            // Keep draining a backlog without waiting a full interval
+            this.scheduleUpload(remaining.length > 0 ? 1000 : this.uploadInterval);
+        } catch (error) {
+            this.failures++;
+            const backoff = Math.min(this.retryBase * Math.pow(2, this.failures - 1), this.retryMax);
+            const delay = backoff / 2 + Math.random() * backoff / 2;
+            this.log.warn("upload - failed, retrying", { error: error.message, attempt: this.failures, retryIn: Math.round(delay / 1000) });
+            this.scheduleUpload(delay);
+        } finally {
+            this.uploading = false;
+        }
+    }
+
+    markSent(ids) {
+        this.writeJson(POP_SENT_KEY, this.readJson(POP_SENT_KEY, []).concat(ids).slice(-POP_SENT_SIZE));
+    }
+
+    readJson(key, fallback) {
+        try {
+            const stored = localStorage.getItem(key);
+            return stored ? JSON.parse(stored) : fallback;
+        } catch (error) {
+            this.log.warn("readJson - unreadable storage entry", { key, error: error.message });
+            return fallback;
+        }
+    }
+
+    writeJson(key, value) {
+        try {
+            localStorage.setItem(key, JSON.stringify(value));
+        } catch (error) {
+            this.log.error("writeJson - failed to persist", { key, error: error.message });
+        }
+    }
+}
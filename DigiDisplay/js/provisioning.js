@@ -0,0 +1,288 @@
+/**
+ * DigiDisplay Provisioning - Tizen Web App
+ * Gives every screen its own identity. On first start the screen generates a
+ * device ID and a short pairing code, keeps both in local storage and shows
+ * the code in a full-screen wizard. It then polls the provisioning endpoint
+ * until an administrator claims the device with that code, stores the
+ * configuration the endpoint returns as the screen's configuration overrides
+ * and restarts into it:
+ *
+ *   screen -> endpoint  POST { deviceId, pairingCode, app, version }
+ *   endpoint -> screen  { status: 'pending' }
+ *                       { status: 'claimed', manifestUrl, credentials: { token }, displayName, timezone, config }
+ *
+ * The credentials stay in the device record rather than the configuration
+ * overrides, so an exported configuration cannot carry them to another screen.
+ * Without provisioning.url the wizard never shows and screens are set up by hand.
+ */
+
+const DEVICE_STORAGE_KEY = 'digidisplay.device';
+const APP_STORAGE_PREFIX = 'digidisplay.';          // Every key the app stores starts with this
+const PAIRING_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';  // No 0/O or 1/I, which read alike across a room
+const PAIRING_CODE_LENGTH = 6;
+const PROVISIONING_RESTART_DELAY = 3000;            // Milliseconds the wizard shows the claim before restarting
+
+class DeviceProvisioning {
+    constructor(player, options) {
+        this.log = logger.child('provisioning');
+        this.player = player;
+        this.url = options.url;
+        this.pollInterval = options.pollInterval * 1000;
+        this.fetchTimeout = options.fetchTimeout * 1000;
+        this.device = this.loadDevice();
+        this.pollTimer = null;
+    }
+
+    /**
+     * The stored identity, generated on the very first start
+     */
+    loadDevice() {
+        let device = null;
+        try {
+            device = JSON.parse(localStorage.getItem(DEVICE_STORAGE_KEY));
+        } catch (error) {
+            this.log.warn("loadDevice - stored identity is unreadable, generating a new one", { error: error.message });
+        }
+        if (device && typeof device.id === 'string' && device.id) {
+            return device;
+        }
+
+        device = { id: generateRecordId(), pairingCode: this.generatePairingCode(), createdAt: new Date().toISOString() };
+        this.log.info("loadDevice - generated device identity", { deviceId: device.id });
+        // A screen set up by hand before provisioning shipped already has a manifest URL and keeps
+        // playing; one imported later does not count, so a cloned configuration still pairs
+        if (this.player.config.manifest.url) {
+            this.log.info("loadDevice - manifest URL already configured, marking the screen provisioned");
+            device.provisionedAt = device.createdAt;
+        }
+        this.saveDevice(device);
+        return device;
+    }
+
+    saveDevice(device) {
+        try {
+            localStorage.setItem(DEVICE_STORAGE_KEY, JSON.stringify(device));
+        } catch (error) {
+            this.log.error("saveDevice - could not store the device identity", { error: error.message });
+        }
+    }
+
+    generatePairingCode() {
+        const values = new Uint32Array(PAIRING_CODE_LENGTH);
+        if (window.crypto && typeof window.crypto.getRandomValues === 'function') {
+            window.crypto.getRandomValues(values);
+        } else {
+            values.forEach((value, index) => {
+                values[index] = Math.floor(Math.random() * 0x100000000);
+            });
+        }
+        return Array.from(values, (value) => PAIRING_CODE_ALPHABET[value % PAIRING_CODE_ALPHABET.length]).join('');
+    }
+
+    getDeviceId() {
+        return this.device.id;
+    }
+
+    getDisplayName() {
+        return this.device.displayName || '';
+    }
+
+    /**
+     * The device token from the claim, or '' for a screen that was not claimed
+     */
+    getToken() {
+        return this.device.credentials ? this.device.credentials.token : '';
+    }
+
+    isProvisioned() {
+        return Boolean(this.device.provisionedAt);
+    }
+
+    needsProvisioning() {
+        return Boolean(this.url) && !this.isProvisioned();
+    }
+
+    /**
+     * Show the screen's name, then open the wizard if it still has to be
+     * claimed. Returns whether the wizard opened; the app then waits for the
+     * claim instead of starting playback
+     */
+    start() {
+        document.getElementById('display-name').textContent = this.getDisplayName();
+        if (!this.needsProvisioning()) {
+            if (!this.url) {
+                this.log.info("start - no provisioning URL configured, skipping first-run setup");
+            }
+            return false;
+        }
+
+        this.log.info("start - waiting to be claimed", { deviceId: this.device.id, pairingCode: this.device.pairingCode });
+        document.getElementById('provisioning-code').textContent = this.device.pairingCode;
+        document.getElementById('provisioning-device').textContent = `Device ID: ${this.device.id}`;
+        document.getElementById('provisioning-panel').style.display = 'flex';
+        this.setStatus('Contacting the provisioning service...', 'info');
+        this.poll();
+        return true;
+    }
+
+    /**
+     * Register with the endpoint and ask whether an administrator has claimed this screen yet
+     */
+    async poll() {
+        clearTimeout(this.pollTimer);
+        const controller = typeof AbortController === 'function' ? new AbortController() : null;
+        const timer = setTimeout(() => controller && controller.abort(), this.fetchTimeout);
+        try {
+            const response = await fetch(this.url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                cache: 'no-store',
+                body: JSON.stringify({
+                    deviceId: this.device.id,
+                    pairingCode: this.device.pairingCode,
+                    app: 'DigiDisplay',
+                    version: this.player.remoteControl.getAppVersion()
+                }),
+                signal: controller ? controller.signal : undefined
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const reply = await response.json();
+
+            if (reply.status === 'claimed') {
+                const errors = this.validateClaim(reply);
+                if (errors.length > 0) {
+                    this.log.error("poll - rejecting invalid claim", { errors });
+                    this.setStatus(`The provisioning service sent an invalid configuration: ${errors.join('; ')}`, 'error');
+                } else if (this.applyClaim(reply)) {
+                    return;
+                }
+            } else {
+                this.log.debug("poll - not claimed yet", { status: reply.status });
+                this.setStatus('Waiting for an administrator to claim this screen...', 'info');
+            }
+        } catch (error) {
+            const message = error.name === 'AbortError' ? 'timed out' : error.message;
+            this.log.warn("poll - provisioning service unavailable", { error: message });
+            this.setStatus(`Cannot reach the provisioning service (${message}) - retrying`, 'warning');
+        } finally {
+            clearTimeout(timer);
+        }
+
+        this.pollTimer = setTimeout(() => this.poll(), this.pollInterval);
+    }
+
+    validateClaim(reply) {
+        const errors = [];
+        if (!this.isHttpUrl(reply.manifestUrl)) {
+            errors.push('manifestUrl must be an http(s) URL');
+        }
+        if (reply.displayName !== undefined && typeof reply.displayName !== 'string') {
+            errors.push('displayName must be a string');
+        }
+        if (reply.timezone !== undefined) {
+            try {
+                new Intl.DateTimeFormat('en-US', { timeZone: reply.timezone });
+            } catch (error) {
+                errors.push(`timezone ${reply.timezone} is not a known timezone`);
+            }
+        }
+        const credentials = reply.credentials;
+        if (credentials !== undefined && (!credentials || typeof credentials !== 'object' || typeof credentials.token !== 'string')) {
+            errors.push('credentials must be an object with a token');
+        }
+        if (reply.config !== undefined) {
+            if (!reply.config || typeof reply.config !== 'object' || Array.isArray(reply.config)) {
+                errors.push('config must be an object');
+            } else {
+                errors.push(...validateConfig(reply.config));
+            }
+        }
+        return errors;
+    }
+
+    isHttpUrl(value) {
+        try {
+            const url = new URL(value);
+            return url.protocol === 'http:' || url.protocol === 'https:';
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Store the claimed configuration over any existing overrides and restart
+     * into it. Returns false when it could not be stored
+     */
+    applyClaim(reply) {
+        let overrides = {};
+        try {
+            overrides = JSON.parse(localStorage.getItem(CONFIG_STORAGE_KEY)) || {};
+        } catch (error) {
+            this.log.warn("applyClaim - replacing unreadable stored config", { error: error.message });
+        }
+
+        // The named fields win over the same settings in the free-form config block
+        const claimed = { manifest: { url: reply.manifestUrl } };
+        if (reply.timezone) {
+            claimed.schedule = { timezone: reply.timezone };
+        }
+        overrides = mergeConfig(mergeConfig(overrides, reply.config || {}), claimed);
+        try {
+            localStorage.setItem(CONFIG_STORAGE_KEY, JSON.stringify(overrides));
+        } catch (error) {
+            this.log.error("applyClaim - could not store the claimed configuration", { error: error.message });
+            this.setStatus(`Claimed, but the configuration could not be stored (${error.message}) - retrying`, 'error');
+            return false;
+        }
+
+        this.device.displayName = reply.displayName || '';
+        if (reply.credentials) {
+            this.device.credentials = { token: reply.credentials.token };
+        }
+        this.device.provisionedAt = new Date().toISOString();
+        this.saveDevice(this.device);
+
+        this.log.info("applyClaim - claimed, restarting with the new configuration", {
+            deviceId: this.device.id,
+            displayName: this.device.displayName,
+            manifestUrl: reply.manifestUrl,
+            timezone: reply.timezone || null
+        });
+        const name = this.device.displayName ? ` as "${this.device.displayName}"` : '';
+        this.setStatus(`Claimed${name} - starting...`, 'success');
+        setTimeout(() => window.location.reload(), PROVISIONING_RESTART_DELAY);
+        return true;
+    }
+
+    /**
+     * Erase everything the app has stored - identity, configuration, settings,
+     * logs, queues and cached media - and restart as a brand new screen
+     */
+    async factoryReset() {
+        this.log.warn("factoryReset - erasing all stored data", { deviceId: this.device.id });
+        clearTimeout(this.pollTimer);
+        try {
+            await this.player.mediaCache.purgeAll({ keepInUse: false });
+        } catch (error) {
+            this.log.error("factoryReset - could not clear the media cache", { error: error.message });
+        }
+
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key && key.startsWith(APP_STORAGE_PREFIX)) {
+                keys.push(key);
+            }
+        }
+        keys.forEach((key) => localStorage.removeItem(key));
+        window.location.reload();
+    }
+
+    setStatus(message, type) {
+        const statusElement = document.getElementById('provisioning-status');
+        statusElement.textContent = message;
+        statusElement.className = `status-message status-${type}`;
+    }
+}
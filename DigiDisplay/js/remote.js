@@ -0,0 +1,280 @@
+/**
+ * DigiDisplay Remote Control - Tizen Web App
+ * WebSocket client that lets a central controller drive the screen.
+ *
+ * Protocol (JSON text frames):
+ *   screen -> controller  { type: 'hello', token, deviceId, name, app, version }
+ *   controller -> screen  { type: 'welcome' }  (or close with code 4001 on a bad token)
+ *   controller -> screen  { type: 'command', id, command, args }
+ *   screen -> controller  { type: 'ack', id, ok, result } or { type: 'ack', id, ok: false, error }
+ *   either side           { type: 'ping' } answered by { type: 'pong' }
+ */
+
+const REMOTE_AUTH_FAILED = 4001;    // Close code the controller uses to reject a device token
+const REMOTE_LOG_LIMIT = 200;       // Default number of log entries returned by getLogs
+
+class RemoteControl {
+    constructor(player, options) {
+        this.log = logger.child('remote');
+        this.player = player;
+        this.url = options.url;
+        // A claimed screen uses the token from its claim; others the configured one
+        this.token = player.provisioning.getToken() || options.token;
+        this.heartbeatInterval = options.heartbeatInterval * 1000;
+        this.retryBase = options.retryBase * 1000;
+        this.retryMax = options.retryMax * 1000;
+        this.socket = null;
+        this.authenticated = false;
+        this.stopped = true;
+        this.failures = 0;
+        this.reconnectTimer = null;
+        this.heartbeatTimer = null;
+        this.lastMessageAt = 0;
+        this.commands = {
+            load: (args) => this.loadCommand(args),
+            play: () => this.playbackCommand(() => this.player.playVideo()),
+            pause: () => this.playbackCommand(() => this.player.pauseVideo()),
+            stop: () => this.playbackCommand(() => this.player.stopVideo()),
+            setVolume: (args) => this.setVolumeCommand(args),
+            next: () => this.stepCommand(() => this.player.nextItem()),
+            previous: () => this.stepCommand(() => this.player.previousItem()),
+            reloadManifest: () => this.reloadManifestCommand(),
+            getLogs: (args) => this.getLogsCommand(args)
+        };
+    }
+
+    start() {
+        if (!this.url) {
+            this.log.info("start - no controller URL configured, remote control disabled");
+            return;
+        }
+        if (typeof WebSocket === 'undefined') {
+            this.log.warn("start - WebSocket not available, remote control disabled");
+            return;
+        }
+        this.stopped = false;
+        this.connect();
+    }
+
+    stop() {
+        this.stopped = true;
+        clearTimeout(this.reconnectTimer);
+        clearInterval(this.heartbeatTimer);
+        if (this.socket) {
+            this.socket.close(1000, 'stopped');
+            this.socket = null;
+        }
+    }
+
+    isConnected() {
+        return this.authenticated && this.socket !== null && this.socket.readyState === WebSocket.OPEN;
+    }
+
+    connect() {
+        this.log.debug("connect - connecting to controller", { url: this.url });
+        let socket;
+        try {
+            socket = new WebSocket(this.url);
+        } catch (error) {
+            this.log.error("connect - invalid controller URL", { url: this.url, error: error.message });
+            this.scheduleReconnect();
+            return;
+        }
+
+        this.socket = socket;
+        this.authenticated = false;
+        socket.onopen = () => this.handleOpen(socket);
+        socket.onmessage = (event) => this.handleMessage(socket, event.data);
+        socket.onclose = (event) => this.handleClose(socket, event);
+        // Errors are always followed by close, which handles the reconnect
+        socket.onerror = () => this.log.debug("connect - socket error", { url: this.url });
+    }
+
+    handleOpen(socket) {
+        this.log.info("handleOpen - connected, authenticating", { url: this.url });
+        this.lastMessageAt = Date.now();
+        this.send(socket, {
+            type: 'hello',
+            token: this.token,
+            deviceId: this.player.provisioning.getDeviceId(),
+            name: this.player.provisioning.getDisplayName(),
+            app: 'DigiDisplay',
+            version: this.getAppVersion()
+        });
+
+        clearInterval(this.heartbeatTimer);
+        this.heartbeatTimer = setInterval(() => this.heartbeat(socket), this.heartbeatInterval);
+    }
+
+    handleClose(socket, event) {
+        if (socket !== this.socket) {
+            return;
+        }
+        clearInterval(this.heartbeatTimer);
+        this.socket = null;
+        this.authenticated = false;
+
+        if (event.code === REMOTE_AUTH_FAILED) {
+            this.log.error("handleClose - controller rejected the device token", { reason: event.reason });
+        } else {
+            this.log.warn("handleClose - connection closed", { code: event.code, reason: event.reason });
+        }
+        if (!this.stopped) {
+            this.scheduleReconnect();
+        }
+    }
+
+    /**
+     * Reconnect with exponential backoff and jitter so a fleet does not reconnect in lockstep
+     */
+    scheduleReconnect() {
+        this.failures++;
+        const backoff = Math.min(this.retryBase * Math.pow(2, this.failures - 1), this.retryMax);
+        const delay = backoff / 2 + Math.random() * backoff / 2;
+        this.log.debug("scheduleReconnect", { attempt: this.failures, retryIn: Math.round(delay / 1000) });
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = setTimeout(() => this.connect(), delay);
+    }
+
+    /**
+     * Ping the controller and drop connections that have gone silent
+     */
+    heartbeat(socket) {
+        if (Date.now() - this.lastMessageAt > this.heartbeatInterval * 2) {
+            this.log.warn("heartbeat - controller silent, reconnecting");
+            socket.close(4000, 'heartbeat timeout');
+            // A dead TCP connection may never deliver close; don't wait for it
+            this.handleClose(socket, { code: 4000, reason: 'heartbeat timeout' });
+            return;
+        }
+        this.send(socket, { type: 'ping' });
+    }
+
+    handleMessage(socket, data) {
+        this.lastMessageAt = Date.now();
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (error) {
+            this.log.warn("handleMessage - ignoring malformed message", { error: error.message });
+            return;
+        }
+
+        if (message.type === 'welcome') {
+            this.log.info("handleMessage - authenticated with controller");
+            this.authenticated = true;
+            this.failures = 0;
+        } else if (message.type === 'ping') {
+            this.send(socket, { type: 'pong' });
+        } else if (message.type === 'command') {
+            if (!this.authenticated) {
+                this.send(socket, { type: 'ack', id: message.id, ok: false, error: 'not authenticated' });
+                return;
+            }
+            this.dispatch(socket, message);
+        }
+    }
+
+    /**
+     * Run a command and acknowledge it with its result or error
+     */
+    async dispatch(socket, message) {
+        const handler = this.commands[message.command];
+        this.log.info("dispatch - command received", { id: message.id, command: message.command });
+
+        if (!handler) {
+            this.send(socket, { type: 'ack', id: message.id, ok: false, error: `unknown command: ${message.command}` });
+            return;
+        }
+
+        try {
+            const result = await handler(message.args || {});
+            this.send(socket, { type: 'ack', id: message.id, ok: true, result: result === undefined ? null : result });
+        } catch (error) {
+            this.log.warn("dispatch - command failed", { id: message.id, command: message.command, error: error.message });
+            this.send(socket, { type: 'ack', id: message.id, ok: false, error: error.message });
+        }
+    }
+
+    async loadCommand(args) {
+        if (args.type !== undefined && !CONTENT_TYPES.includes(args.type)) {
+            throw new Error(`type must be one of ${CONTENT_TYPES.join(', ')}`);
+        }
+        const type = args.type || (args.url ? detectContentType(args.url) : 'video');
+        if (!args.url || !this.player.isValidItemUrl(args.url, type)) {
+            throw new Error('a valid url is required');
+        }
+        if (this.player.isLoading) {
+            throw new Error('video loading already in progress');
+        }
+
+        // A remotely loaded URL takes over from the playlist, like one typed in
+        await this.player.loadUrl(args.url, { type, play: Boolean(args.play) });
+        return { url: args.url, type };
+    }
+
+    /**
+     * next/previous: on an empty playlist they would only show a notification, so report a failure
+     */
+    stepCommand(step) {
+        if (this.player.playlist.items.length === 0) {
+            throw new Error('playlist is empty');
+        }
+        step();
+    }
+
+    /**
+     * play/pause/stop: with nothing loaded they would only show a notification, so report a failure
+     */
+    playbackCommand(action) {
+        if (!this.player.currentVideo && !this.player.content.isShowing()) {
+            throw new Error('no video loaded');
+        }
+        action();
+    }
+
+    setVolumeCommand(args) {
+        const volume = Number(args.volume);
+        if (!(volume >= 0 && volume <= 100)) {
+            throw new Error('volume must be between 0 and 100');
+        }
+        this.player.setVolume(volume);
+        return { volume };
+    }
+
+    async reloadManifestCommand() {
+        if (!this.player.manifestClient) {
+            throw new Error('no manifest configured');
+        }
+        const applied = await this.player.manifestClient.refresh();
+        if (!applied) {
+            throw new Error('manifest could not be fetched or was rejected');
+        }
+        return { applied };
+    }
+
+    getLogsCommand(args) {
+        const limit = args.limit === undefined ? REMOTE_LOG_LIMIT : args.limit;
+        if (!Number.isInteger(limit) || limit <= 0) {
+            throw new Error('limit must be a positive integer');
+        }
+        const entries = logger.entries.slice(-limit);
+        return args.format === 'text' ? entries.map(formatLogEntry).join('\n') : entries;
+    }
+
+    send(socket, message) {
+        if (socket.readyState !== WebSocket.OPEN) {
+            this.log.debug("send - socket not open, dropping message", { type: message.type });
+            return;
+        }
+        socket.send(JSON.stringify(message));
+    }
+
+    getAppVersion() {
+        try {
+            return tizen.application.getCurrentApplication().appInfo.version;
+        } catch (ignore) {
+            return 'unknown';
+        }
+    }
+}
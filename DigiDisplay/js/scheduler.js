@@ -0,0 +1,254 @@
+/**
+ * DigiDisplay Scheduler - Tizen Web App
+ * Dayparting: switches the playlist between content sets by time of day,
+ * day of week and date range, falling back to the default set in the gaps.
+ *
+ * Schedule format (the "schedule" block of the content manifest):
+ * {
+ *     "timezone": "America/New_York",
+ *     "sets": [ { "id": "breakfast", "items": [ ...playlist items... ] } ],
+ *     "windows": [
+ *         { "set": "breakfast", "start": "06:00", "end": "11:00", "days": ["mon", "tue"],
+ *           "startDate": "2026-01-01", "endDate": "2026-03-31", "timezone": "Europe/London" }
+ *     ]
+ * }
+ * The first matching window wins. A window whose end is not after its start runs
+ * past midnight into the following day.
+ */
+
+const DEFAULT_SET_ID = 'default';
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const SCHEDULE_LOOKAHEAD_DAYS = 7;
+const SCHEDULE_DAY_MS = 24 * 60 * 60 * 1000;
+
+class Scheduler {
+    constructor(player, options) {
+        this.log = logger.child('scheduler');
+        this.player = player;
+        this.deviceTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+        this.fallbackTimezone = this.checkTimezone(options.timezone, 'schedule.timezone') || this.deviceTimezone;
+        this.sets = {};
+        this.windows = [];
+        this.timezone = this.fallbackTimezone;
+        this.activeSetId = null;
+        this.boundaryTimer = null;
+        this.formatters = {};
+    }
+
+    /**
+     * Load the content sets and time windows from a validated manifest
+     * and switch to whichever set is active now
+     */
+    load(manifest) {
+        const schedule = manifest.schedule || { sets: [], windows: [] };
+
+        this.sets = {};
+        this.sets[DEFAULT_SET_ID] = manifest.items;
+        schedule.sets.forEach((set) => { this.sets[set.id] = set.items; });
+        this.windows = schedule.windows;
+        this.timezone = this.checkTimezone(schedule.timezone, 'manifest.schedule.timezone') || this.fallbackTimezone;
+
+        this.log.debug("load", { sets: Object.keys(this.sets).length, windows: this.windows.length, timezone: this.timezone });
+        this.update(true);
+    }
+
+    /**
+     * timezone if the platform knows it; an unknown one is logged and null returned,
+     * as every clock reading in it would throw
+     */
+    checkTimezone(timezone, setting) {
+        if (!timezone) {
+            return null;
+        }
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+            return timezone;
+        } catch (error) {
+            this.log.warn("checkTimezone - ignoring unknown timezone", { setting, timezone });
+            return null;
+        }
+    }
+
+    stop() {
+        clearTimeout(this.boundaryTimer);
+        this.boundaryTimer = null;
+    }
+
+    /**
+     * Apply the active set and arm a timer for the next boundary.
+     * When the active set is unchanged its items are hot-applied instead of restarted.
+     */
+    update(contentChanged = false) {
+        const now = new Date();
+        const setId = this.getActiveSetId(now);
+        const playlist = this.player.playlist;
+
+        if (setId !== this.activeSetId) {
+            this.log.debug("update - switching set", { from: this.activeSetId, to: setId });
+            this.activeSetId = setId;
+            playlist.setItems(this.sets[setId]);
+            this.startPlaylist();
+        } else if (contentChanged) {
+            playlist.updateItems(this.sets[setId]);
+            if (!playlist.active) {
+                this.startPlaylist();
+            }
+        }
+
+        const next = this.getNext(now);
+        this.player.updateScheduleStatus(this.getNowPlaying(now), next);
+        this.scheduleNextBoundary(next);
+    }
+
+    startPlaylist() {
+        this.player.playlist.start(0).catch(error => {
+            this.log.error("startPlaylist - failed", { setId: this.activeSetId, error: error.message });
+        });
+    }
+
+    scheduleNextBoundary(next) {
+        this.stop();
+        if (!next) {
+            return;
+        }
+
+        const delay = Math.max(next.at.getTime() - Date.now(), 1000);
+        this.log.debug("scheduleNextBoundary", { setId: next.setId, at: next.at.toISOString() });
+        this.boundaryTimer = setTimeout(() => this.update(), delay);
+    }
+
+    /**
+     * What plays now: { setId, window }
+     */
+    getNowPlaying(now = new Date()) {
+        const window = this.findActiveWindow(now);
+        return {
+            setId: window ? window.set : DEFAULT_SET_ID,
+            window: window || null
+        };
+    }
+
+    /**
+     * What plays next: { setId, at } for the next set change within a week, or null.
+     * The active set can only change where a window starts or ends, or where its
+     * date range begins or lapses at midnight, so only those instants are checked.
+     */
+    getNext(now = new Date()) {
+        if (this.windows.length === 0) {
+            return null;
+        }
+
+        const current = this.getActiveSetId(now);
+        const limit = now.getTime() + SCHEDULE_LOOKAHEAD_DAYS * SCHEDULE_DAY_MS;
+        const boundaries = this.getBoundaries(now)
+            .filter((time) => time > now.getTime() && time <= limit)
+            .sort((a, b) => a - b);
+
+        for (const time of boundaries) {
+            const at = new Date(time);
+            const setId = this.getActiveSetId(at);
+            if (setId !== current) {
+                return { setId, at };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Instants (milliseconds) from today through the lookahead at which a window starts or ends
+     */
+    getBoundaries(now) {
+        const times = new Set();
+        this.windows.forEach((window) => {
+            const timezone = window.timezone || this.timezone;
+            const today = Date.parse(this.getLocalTime(now, timezone).date + 'T00:00:00Z');
+            const minutes = [this.parseTime(window.start), this.parseTime(window.end)];
+            if (window.startDate || window.endDate) {
+                minutes.push(0);
+            }
+            for (let day = 0; day <= SCHEDULE_LOOKAHEAD_DAYS; day++) {
+                minutes.forEach((minute) => {
+                    times.add(this.toInstant(today + day * SCHEDULE_DAY_MS + minute * 60000, timezone));
+                });
+            }
+        });
+        return Array.from(times);
+    }
+
+    /**
+     * The instant at which the clock in timezone shows wallTime (a wall-clock time in milliseconds, read as UTC)
+     */
+    toInstant(wallTime, timezone) {
+        let instant = wallTime;
+        // The second pass corrects the offset when a DST change lies between the guess and the answer
+        for (let pass = 0; pass < 2; pass++) {
+            const local = this.getLocalTime(new Date(instant), timezone);
+            instant += wallTime - (Date.parse(local.date + 'T00:00:00Z') + local.minutes * 60000);
+        }
+        return instant;
+    }
+
+    getActiveSetId(date) {
+        const window = this.findActiveWindow(date);
+        return window ? window.set : DEFAULT_SET_ID;
+    }
+
+    findActiveWindow(date) {
+        return this.windows.find((window) => this.isInWindow(window, date)) || null;
+    }
+
+    isInWindow(window, date) {
+        const local = this.getLocalTime(date, window.timezone || this.timezone);
+        const start = this.parseTime(window.start);
+        const end = this.parseTime(window.end);
+        const days = window.days || WEEKDAYS;
+
+        if (window.startDate && local.date < window.startDate) {
+            return false;
+        }
+        if (window.endDate && local.date > window.endDate) {
+            return false;
+        }
+
+        if (start < end) {
+            return days.includes(local.day) && local.minutes >= start && local.minutes < end;
+        }
+
+        // Overnight window: the tail after midnight belongs to the previous day's window
+        const previousDay = WEEKDAYS[(WEEKDAYS.indexOf(local.day) + 6) % 7];
+        return (days.includes(local.day) && local.minutes >= start) ||
+            (days.includes(previousDay) && local.minutes < end);
+    }
+
+    /**
+     * Wall-clock date, weekday and minute of day for a timezone
+     */
+    getLocalTime(date, timezone) {
+        if (!this.formatters[timezone]) {
+            this.formatters[timezone] = new Intl.DateTimeFormat('en-US', {
+                timeZone: timezone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit',
+                weekday: 'short',
+                hour: '2-digit',
+                minute: '2-digit'
+            });
+        }
+
+        const parts = {};
+        this.formatters[timezone].formatToParts(date).forEach((part) => { parts[part.type] = part.value; });
+
+        return {
+            date: `${parts.year}-${parts.month}-${parts.day}`,
+            day: parts.weekday.toLowerCase().slice(0, 3),
+            minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10)
+        };
+    }
+
+    parseTime(value) {
+        const [hours, minutes] = value.split(':').map((part) => parseInt(part, 10));
+        return hours * 60 + minutes;
+    }
+}
@@ -0,0 +1,367 @@
+/**
+ * DigiDisplay Settings - Tizen Web App
+ * On-device settings that survive restarts: stored in local storage with
+ * defaults, validated against a schema and migrated when their layout
+ * changes. The settings page edits them with the remote, and the whole
+ * setup (settings plus the screen configuration overrides) can be exported
+ * as JSON and imported on another screen.
+ *
+ * Unlike the screen configuration (config.js), settings apply immediately.
+ */
+
+const SETTINGS_STORAGE_KEY = 'digidisplay.settings';
+const SETTINGS_VERSION = 1;
+const SETTINGS_LOAD_TIMEOUTS = [5, 10, 15, 30, 60, 120];   // Seconds offered by the settings page
+const SETTINGS_CONFIRM_TIMEOUT = 5000;   // Milliseconds a destructive action waits for its confirming press
+
+const SETTINGS_SCHEMA = {
+    type: 'object',
+    properties: {
+        volume: { type: 'number', min: 0, max: 100 },
+        autoplay: { type: 'boolean' },          // Play loaded URLs right away and resume the last one at startup
+        lastUrl: { type: 'string' },
+        loadTimeout: { type: 'number', min: 1, max: 300 },          // Seconds loadVideo waits for the video
+        readyPollInterval: { type: 'number', min: 0.5, max: 30 },   // Seconds between readyState checks while loading
+        debugConsole: { type: 'boolean' },
+        logLevel: { type: 'string', enum: Object.keys(LOG_LEVELS) }
+    }
+};
+
+const SETTINGS_DEFAULTS = {
+    volume: 100,
+    autoplay: false,
+    lastUrl: '',
+    loadTimeout: 15,
+    readyPollInterval: 2,
+    debugConsole: true,
+    logLevel: 'debug'
+};
+
+/**
+ * Upgrades stored settings from the version before: { 2: (values) => values }.
+ * Add one whenever a setting is renamed or its meaning changes.
+ */
+const SETTINGS_MIGRATIONS = {};
+
+class SettingsStore {
+    constructor(defaults) {
+        this.log = logger.child('settings');
+        this.defaults = Object.assign({}, SETTINGS_DEFAULTS, defaults);
+        this.values = {};       // Settings changed from their defaults
+        this.listeners = [];
+        this.load();
+    }
+
+    get(key) {
+        return this.values[key] !== undefined ? this.values[key] : this.defaults[key];
+    }
+
+    getAll() {
+        return Object.assign({}, this.defaults, this.values);
+    }
+
+    /**
+     * Change one setting; invalid values throw and leave it unchanged
+     */
+    set(key, value) {
+        const property = SETTINGS_SCHEMA.properties[key];
+        if (!property) {
+            throw new Error(`Unknown setting: ${key}`);
+        }
+        const errors = validateSchema(value, property, `settings.${key}`);
+        if (errors.length > 0) {
+            throw new Error(errors.join('; '));
+        }
+        if (this.get(key) === value) {
+            return;
+        }
+
+        this.values[key] = value;
+        this.save();
+        this.notify(key, value);
+    }
+
+    /**
+     * Back to the defaults
+     */
+    reset() {
+        this.log.info("reset - restoring default settings");
+        this.values = {};
+        this.save();
+        Object.keys(this.defaults).forEach((key) => this.notify(key, this.defaults[key]));
+    }
+
+    /**
+     * listener(key, value) runs after every change
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify(key, value) {
+        this.listeners.forEach((listener) => {
+            try {
+                listener(key, value);
+            } catch (error) {
+                this.log.error("notify - settings listener failed", { key, error: error.message });
+            }
+        });
+    }
+
+    load() {
+        let stored;
+        try {
+            stored = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY));
+        } catch (error) {
+            this.log.warn("load - ignoring unreadable stored settings", { error: error.message });
+            return;
+        }
+        if (!stored) {
+            return;
+        }
+
+        try {
+            this.values = this.sanitize(this.migrate(stored));
+        } catch (error) {
+            this.log.warn("load - ignoring stored settings", { error: error.message });
+            return;
+        }
+        if (stored.version !== SETTINGS_VERSION) {
+            this.save();
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify({ version: SETTINGS_VERSION, values: this.values }));
+        } catch (error) {
+            this.log.warn("save - failed to persist settings", { error: error.message });
+        }
+    }
+
+    /**
+     * Bring stored settings up to SETTINGS_VERSION
+     */
+    migrate(stored) {
+        if (!stored || typeof stored.version !== 'number' || !stored.values || typeof stored.values !== 'object') {
+            throw new Error('settings must be { version, values }');
+        }
+        if (stored.version > SETTINGS_VERSION) {
+            // Written by a newer app; keep whatever this version understands
+            this.log.warn("migrate - settings are from a newer version", { version: stored.version });
+            return stored.values;
+        }
+
+        let values = stored.values;
+        for (let version = stored.version + 1; version <= SETTINGS_VERSION; version++) {
+            if (SETTINGS_MIGRATIONS[version]) {
+                this.log.info("migrate - upgrading settings", { to: version });
+                values = SETTINGS_MIGRATIONS[version](values);
+            }
+        }
+        return values;
+    }
+
+    /**
+     * Known, valid settings only; anything else is dropped with a warning
+     */
+    sanitize(values) {
+        const result = {};
+        Object.keys(values).forEach((key) => {
+            const property = SETTINGS_SCHEMA.properties[key];
+            const errors = property ? validateSchema(values[key], property, `settings.${key}`) : [`unknown setting ${key}`];
+            if (errors.length > 0) {
+                this.log.warn("sanitize - dropping invalid setting", { key, errors });
+                return;
+            }
+            result[key] = values[key];
+        });
+        return result;
+    }
+
+    /**
+     * This screen's setup as JSON: settings and the screen configuration overrides
+     */
+    export() {
+        let config = {};
+        try {
+            config = JSON.parse(localStorage.getItem(CONFIG_STORAGE_KEY)) || {};
+        } catch (error) {
+            this.log.warn("export - stored config is unreadable, exporting settings only", { error: error.message });
+        }
+        return JSON.stringify({ version: SETTINGS_VERSION, values: this.values, config }, null, 2);
+    }
+
+    /**
+     * Replace the setup with an exported one. Nothing changes unless the whole
+     * export is valid. Returns whether the screen configuration changed,
+     * which only applies after a restart.
+     */
+    import(text) {
+        const data = JSON.parse(text);
+        const values = this.migrate(data);
+        const errors = validateSchema(values, SETTINGS_SCHEMA, 'settings');
+        Object.keys(values).forEach((key) => {
+            if (!SETTINGS_SCHEMA.properties[key]) {
+                errors.push(`settings.${key} is not a known setting`);
+            }
+        });
+        if (data.config !== undefined) {
+            if (!data.config || typeof data.config !== 'object' || Array.isArray(data.config)) {
+                errors.push('config must be an object');
+            } else {
+                // Checked as the next start would see it, so a bad export cannot break the boot
+                validateConfig(mergeConfig(DEFAULT_CONFIG, data.config)).forEach((error) => errors.push(error));
+            }
+        }
+        if (errors.length > 0) {
+            throw new Error(errors.join('; '));
+        }
+
+        this.log.info("import - applying imported settings", { settings: Object.keys(values).length });
+        const previous = this.getAll();
+        this.values = Object.assign({}, values);
+        this.save();
+        const current = this.getAll();
+        Object.keys(current).forEach((key) => {
+            if (current[key] !== previous[key]) {
+                this.notify(key, current[key]);
+            }
+        });
+
+        if (data.config === undefined) {
+            return false;
+        }
+        localStorage.setItem(CONFIG_STORAGE_KEY, JSON.stringify(data.config));
+        return true;
+    }
+}
+
+/**
+ * Settings overlay driven by the remote: one button per setting, each press
+ * moves it to its next value
+ */
+class SettingsPage {
+    constructor(player, settings) {
+        this.log = logger.child('settings');
+        this.player = player;
+        this.settings = settings;
+        this.returnFocus = null;
+        this.factoryResetTimer = null;  // Set while Factory Reset waits for its confirming press
+    }
+
+    start() {
+        this.panel = document.getElementById('settings-panel');
+        document.getElementById('settings-btn').addEventListener('click', () => this.open());
+        document.getElementById('settings-close').addEventListener('click', () => this.close());
+        document.getElementById('settings-volume').addEventListener('input', (e) => this.player.previewVolume(e.target.value));
+        document.getElementById('settings-volume').addEventListener('change', (e) => this.player.setVolume(e.target.value));
+        document.getElementById('settings-autoplay').addEventListener('click', () => this.toggle('autoplay'));
+        document.getElementById('settings-load-timeout').addEventListener('click', () => this.cycleLoadTimeout());
+        document.getElementById('settings-debug-console').addEventListener('click', () => this.toggle('debugConsole'));
+        document.getElementById('settings-log-level').addEventListener('click', () => this.cycleLogLevel());
+        document.getElementById('settings-export').addEventListener('click', () => this.exportSettings());
+        document.getElementById('settings-import').addEventListener('click', () => this.importSettings());
+        document.getElementById('settings-reset').addEventListener('click', () => this.resetSettings());
+        document.getElementById('settings-factory-reset').addEventListener('click', () => this.factoryReset());
+
+        this.settings.onChange(() => this.render());
+    }
+
+    isOpen() {
+        return this.panel.style.display !== 'none';
+    }
+
+    open() {
+        this.returnFocus = document.activeElement;
+        this.render();
+        this.panel.style.display = 'flex';
+        document.getElementById('settings-volume').focus();
+    }
+
+    close() {
+        this.panel.style.display = 'none';
+        document.getElementById('settings-transfer').value = '';
+        if (this.panel.contains(document.activeElement)) {
+            document.activeElement.blur();
+        }
+        if (this.returnFocus && this.returnFocus.isConnected) {
+            this.returnFocus.focus();
+        }
+    }
+
+    toggle(key) {
+        this.settings.set(key, !this.settings.get(key));
+    }
+
+    cycleLoadTimeout() {
+        const current = this.settings.get('loadTimeout');
+        const next = SETTINGS_LOAD_TIMEOUTS.find((seconds) => seconds > current) || SETTINGS_LOAD_TIMEOUTS[0];
+        this.settings.set('loadTimeout', next);
+    }
+
+    cycleLogLevel() {
+        const levels = Object.keys(LOG_LEVELS);
+        const index = levels.indexOf(this.settings.get('logLevel'));
+        this.settings.set('logLevel', levels[(index + 1) % levels.length]);
+    }
+
+    exportSettings() {
+        document.getElementById('settings-transfer').value = this.settings.export();
+        this.player.showNotification('Settings exported below', 'success');
+    }
+
+    importSettings() {
+        const text = document.getElementById('settings-transfer').value.trim();
+        if (!text) {
+            this.player.showNotification('Paste exported settings into the box first', 'warning');
+            return;
+        }
+        try {
+            const configChanged = this.settings.import(text);
+            this.player.showNotification(configChanged
+                ? 'Settings imported - restart to apply the screen configuration'
+                : 'Settings imported', 'success');
+        } catch (error) {
+            this.log.warn("importSettings - import rejected", { error: error.message });
+            this.player.showNotification(`Import failed: ${error.message}`, 'error');
+        }
+    }
+
+    resetSettings() {
+        this.settings.reset();
+        this.player.showNotification('Settings reset to defaults', 'info');
+    }
+
+    /**
+     * Erase the whole screen; the first press only arms the button so a stray press cannot
+     */
+    factoryReset() {
+        const button = document.getElementById('settings-factory-reset');
+        if (!this.factoryResetTimer) {
+            button.textContent = 'Press again to erase';
+            this.player.showNotification('Factory reset erases this screen\'s identity, configuration, settings and cache - press again to confirm', 'warning');
+            this.factoryResetTimer = setTimeout(() => {
+                this.factoryResetTimer = null;
+                button.textContent = 'Factory Reset';
+            }, SETTINGS_CONFIRM_TIMEOUT);
+            return;
+        }
+        clearTimeout(this.factoryResetTimer);
+        this.factoryResetTimer = null;
+        this.player.showNotification('Factory reset - restarting...', 'warning');
+        this.player.provisioning.factoryReset();
+    }
+
+    render() {
+        const settings = this.settings.getAll();
+        const provisioning = this.player.provisioning;
+        const name = provisioning.getDisplayName();
+        document.getElementById('settings-device').textContent = `${name ? name + ' - ' : ''}Device ID: ${provisioning.getDeviceId()}`;
+        document.getElementById('settings-volume').value = settings.volume;
+        document.getElementById('settings-autoplay').textContent = `Autoplay: ${settings.autoplay ? 'On' : 'Off'}`;
+        document.getElementById('settings-load-timeout').textContent = `Load timeout: ${settings.loadTimeout}s`;
+        document.getElementById('settings-debug-console').textContent = `Debug console: ${settings.debugConsole ? 'Shown' : 'Hidden'}`;
+        document.getElementById('settings-log-level').textContent = `Log level: ${settings.logLevel}`;
+    }
+}
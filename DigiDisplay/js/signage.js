@@ -0,0 +1,244 @@
+/**
+ * DigiDisplay Signage Mode - Tizen Web App
+ * Locked-down presentation for customer-facing screens: fullscreen video,
+ * no chrome, notifications only in the log and the remote locked. A hidden
+ * key sequence followed by the PIN opens the operator UI until it is
+ * relocked or left idle. There is no default PIN: until display.pin is set
+ * the screen cannot be unlocked from the remote. Repeated wrong PINs lock
+ * the prompt for a period that doubles with each lockout and survives reboots.
+ */
+
+const PIN_KEYS = ['0', '1', '2', '3', '4', '5', '6', '7', '8', '9'];
+const UNLOCK_SEQUENCE_TIMEOUT = 3000;   // Max gap between keys of the unlock sequence
+const PIN_LOCKOUT_KEY = 'digidisplay.signage.lockout';
+const PIN_LOCKOUT_MAX = 24 * 60 * 60 * 1000;    // Longest lockout, however many there have been
+const PIN_LOCKOUT_NOTICE = 3000;        // Milliseconds the lockout notice stays up
+
+class SignageMode {
+    constructor(player, options) {
+        this.log = logger.child('signage');
+        this.player = player;
+        this.enabled = options.mode === 'signage';
+        this.pin = options.pin ? String(options.pin) : '';
+        this.pinAttempts = options.pinAttempts;
+        this.pinLockout = options.pinLockout * 1000;
+        this.lockout = this.loadLockout();  // { failures, lockouts, until } of wrong PIN entries
+        this.unlockSequence = options.unlockSequence;
+        this.unlockTimeout = options.unlockTimeout * 1000;
+        this.locked = false;
+        this.sequence = [];
+        this.lastKeyAt = 0;
+        this.pinEntry = null;       // Digits typed so far while the PIN prompt is open
+        this.idleTimer = null;
+        this.onKeyDown = (e) => this.handleKeyDown(e);
+    }
+
+    /**
+     * Enter signage mode when the configuration asks for it
+     */
+    start() {
+        if (!this.enabled) {
+            return;
+        }
+
+        this.registerNumberKeys();
+        // Capture phase on window runs before every other key handler in the app
+        window.addEventListener('keydown', this.onKeyDown, true);
+        this.lock();
+    }
+
+    isLocked() {
+        return this.enabled && this.locked;
+    }
+
+    lock() {
+        this.log.info("lock - entering signage presentation");
+        this.locked = true;
+        this.hidePinPrompt();
+        clearTimeout(this.idleTimer);
+
+        document.body.classList.add('signage-mode');
+        if (document.activeElement) {
+            document.activeElement.blur();
+        }
+    }
+
+    unlock() {
+        this.log.warn("unlock - operator UI opened");
+        this.locked = false;
+        this.hidePinPrompt();
+
+        document.body.classList.remove('signage-mode');
+        this.resetIdleTimer();
+    }
+
+    /**
+     * Relock the operator UI after a period without key presses
+     */
+    resetIdleTimer() {
+        clearTimeout(this.idleTimer);
+        this.idleTimer = setTimeout(() => {
+            this.log.info("resetIdleTimer - operator UI idle, relocking");
+            this.lock();
+        }, this.unlockTimeout);
+    }
+
+    /**
+     * Back key: never exits the app in signage mode; closes the operator UI instead
+     */
+    handleBackKey() {
+        if (this.pinEntry !== null) {
+            this.hidePinPrompt();
+        } else if (!this.locked) {
+            this.lock();
+        }
+    }
+
+    handleKeyDown(e) {
+        if (!this.locked) {
+            this.resetIdleTimer();
+            return;
+        }
+
+        // Locked: nothing reaches the rest of the app
+        e.preventDefault();
+        e.stopImmediatePropagation();
+
+        if (this.pinEntry !== null) {
+            this.handlePinKey(e.key);
+        } else {
+            this.trackSequence(e.key);
+        }
+    }
+
+    trackSequence(key) {
+        const now = Date.now();
+        if (now - this.lastKeyAt > UNLOCK_SEQUENCE_TIMEOUT) {
+            this.sequence = [];
+        }
+        this.lastKeyAt = now;
+
+        this.sequence.push(key);
+        if (this.sequence.length > this.unlockSequence.length) {
+            this.sequence.shift();
+        }
+
+        if (this.sequence.join(',') === this.unlockSequence.join(',')) {
+            this.sequence = [];
+            this.requestUnlock();
+        }
+    }
+
+    /**
+     * The unlock sequence was entered: ask for the PIN unless unlocking is not possible right now
+     */
+    requestUnlock() {
+        if (!this.pin) {
+            this.log.warn("requestUnlock - refused, no display.pin is configured");
+            return;
+        }
+        const remaining = this.lockout.until - Date.now();
+        if (remaining > 0) {
+            this.log.warn("requestUnlock - refused, PIN entry locked out", { secondsLeft: Math.ceil(remaining / 1000) });
+            this.showLockoutNotice(remaining);
+            return;
+        }
+        this.showPinPrompt();
+    }
+
+    handlePinKey(key) {
+        if (PIN_KEYS.includes(key)) {
+            this.pinEntry += key;
+            this.updatePinDisplay();
+            if (this.pinEntry.length < this.pin.length) {
+                return;
+            }
+        } else if (key !== 'Enter') {
+            return;
+        }
+
+        if (this.pinEntry === this.pin) {
+            this.lockout = { failures: 0, lockouts: 0, until: 0 };
+            this.saveLockout();
+            this.unlock();
+        } else {
+            this.recordWrongPin();
+            this.hidePinPrompt();
+        }
+    }
+
+    /**
+     * Count a wrong PIN; every pinAttempts of them lock the prompt for twice as long as the last time
+     */
+    recordWrongPin() {
+        this.lockout.failures++;
+        this.log.warn("recordWrongPin - wrong PIN entered", { failures: this.lockout.failures });
+        if (this.lockout.failures >= this.pinAttempts) {
+            this.lockout.lockouts++;
+            this.lockout.failures = 0;
+            const duration = Math.min(this.pinLockout * Math.pow(2, this.lockout.lockouts - 1), PIN_LOCKOUT_MAX);
+            this.lockout.until = Date.now() + duration;
+            this.log.error("recordWrongPin - too many wrong PINs, locking PIN entry", {
+                lockouts: this.lockout.lockouts,
+                seconds: Math.round(duration / 1000)
+            });
+        }
+        this.saveLockout();
+    }
+
+    showLockoutNotice(remaining) {
+        document.getElementById('pin-display').textContent = `Locked - try again in ${Math.ceil(remaining / 1000)}s`;
+        document.getElementById('pin-prompt').style.display = 'flex';
+        clearTimeout(this.idleTimer);
+        this.idleTimer = setTimeout(() => this.hidePinPrompt(), PIN_LOCKOUT_NOTICE);
+    }
+
+    loadLockout() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(PIN_LOCKOUT_KEY));
+            if (stored && typeof stored.until === 'number') {
+                return stored;
+            }
+        } catch (error) {
+            this.log.warn("loadLockout - unreadable lockout state", { error: error.message });
+        }
+        return { failures: 0, lockouts: 0, until: 0 };
+    }
+
+    saveLockout() {
+        try {
+            localStorage.setItem(PIN_LOCKOUT_KEY, JSON.stringify(this.lockout));
+        } catch (error) {
+            this.log.warn("saveLockout - failed", { error: error.message });
+        }
+    }
+
+    showPinPrompt() {
+        this.pinEntry = '';
+        this.updatePinDisplay();
+        document.getElementById('pin-prompt').style.display = 'flex';
+        // Abandon the prompt if nobody finishes typing
+        clearTimeout(this.idleTimer);
+        this.idleTimer = setTimeout(() => this.hidePinPrompt(), 30000);
+    }
+
+    hidePinPrompt() {
+        this.pinEntry = null;
+        document.getElementById('pin-prompt').style.display = 'none';
+    }
+
+    updatePinDisplay() {
+        document.getElementById('pin-display').textContent = '•'.repeat(this.pinEntry.length) || '----';
+    }
+
+    /**
+     * Number keys are not delivered to web apps unless registered
+     */
+    registerNumberKeys() {
+        try {
+            PIN_KEYS.forEach((key) => tizen.tvinputdevice.registerKey(key));
+        } catch (error) {
+            this.log.debug("registerNumberKeys - tvinputdevice unavailable", { error: error.message });
+        }
+    }
+}
@@ -0,0 +1,605 @@
+/**
+ * DigiDisplay Adaptive Streaming - Tizen Web App
+ * HLS and MPEG-DASH playback through Media Source Extensions, with
+ * rendition selection driven by the measured download bandwidth.
+ *
+ * Supported through MSE: VOD HLS with fragmented MP4 segments (EXT-X-MAP)
+ * and static DASH manifests using SegmentTemplate. Anything else (live HLS,
+ * MPEG-TS segments, dynamic DASH) is handed to the platform's native player.
+ */
+
+const DEFAULT_HLS_CODECS = 'avc1.4d401f,mp4a.40.2';
+const SEGMENT_RETRY_LIMIT = 3;
+
+/**
+ * Work out how a URL should be played: 'hls', 'dash' or 'progressive'
+ */
+function detectSourceType(url) {
+    let pathname;
+    try {
+        pathname = new URL(url).pathname.toLowerCase();
+    } catch (_) {
+        return 'progressive';
+    }
+
+    if (pathname.endsWith('.m3u8')) {
+        return 'hls';
+    }
+    if (pathname.endsWith('.mpd')) {
+        return 'dash';
+    }
+    return 'progressive';
+}
+
+/**
+ * Parse an HLS attribute list (KEY=value,KEY="quoted value")
+ */
+function parseHlsAttributes(text) {
+    const attributes = {};
+    const pattern = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        attributes[match[1]] = match[2].replace(/^"|"$/g, '');
+    }
+    return attributes;
+}
+
+/**
+ * Parse an HLS master or media playlist
+ */
+function parseHlsPlaylist(text, baseUrl) {
+    const lines = text.split(/\r?\n/).map((line) => line.trim()).filter((line) => line.length > 0);
+    if (lines[0] !== '#EXTM3U') {
+        throw new Error('Not an HLS playlist');
+    }
+
+    const playlist = { variants: [], segments: [], initUrl: null, endList: false, encrypted: false };
+    let pendingVariant = null;
+    let pendingDuration = null;
+    let time = 0;
+
+    lines.forEach((line) => {
+        if (line.startsWith('#EXT-X-STREAM-INF:')) {
+            const attributes = parseHlsAttributes(line.slice(18));
+            const resolution = (attributes.RESOLUTION || '').split('x');
+            pendingVariant = {
+                bandwidth: parseInt(attributes.BANDWIDTH, 10) || 0,
+                codecs: attributes.CODECS || DEFAULT_HLS_CODECS,
+                width: parseInt(resolution[0], 10) || 0,
+                height: parseInt(resolution[1], 10) || 0
+            };
+        } else if (line.startsWith('#EXTINF:')) {
+            pendingDuration = parseFloat(line.slice(8));
+        } else if (line.startsWith('#EXT-X-MAP:')) {
+            playlist.initUrl = new URL(parseHlsAttributes(line.slice(11)).URI, baseUrl).href;
+        } else if (line.startsWith('#EXT-X-KEY:')) {
+            playlist.encrypted = parseHlsAttributes(line.slice(11)).METHOD !== 'NONE';
+        } else if (line === '#EXT-X-ENDLIST') {
+            playlist.endList = true;
+        } else if (!line.startsWith('#')) {
+            const url = new URL(line, baseUrl).href;
+            if (pendingVariant) {
+                playlist.variants.push(Object.assign({ url }, pendingVariant));
+                pendingVariant = null;
+            } else if (pendingDuration !== null) {
+                playlist.segments.push({ url, start: time, duration: pendingDuration });
+                time += pendingDuration;
+                pendingDuration = null;
+            }
+        }
+    });
+
+    playlist.duration = time;
+    return playlist;
+}
+
+/**
+ * Parse an ISO 8601 duration such as PT1H2M3.5S into seconds
+ */
+function parseIsoDuration(value) {
+    const match = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:([\d.]+)S)?)?$/.exec(value || '');
+    if (!match) {
+        return NaN;
+    }
+    return (parseInt(match[1] || 0, 10) * 86400) +
+        (parseInt(match[2] || 0, 10) * 3600) +
+        (parseInt(match[3] || 0, 10) * 60) +
+        parseFloat(match[4] || 0);
+}
+
+/**
+ * Fill a DASH SegmentTemplate ($RepresentationID$, $Number%05d$, $Bandwidth$, $Time$)
+ */
+function fillDashTemplate(template, values) {
+    return template.replace(/\$(RepresentationID|Number|Bandwidth|Time)(?:%0(\d+)d)?\$/g, (_, name, width) => {
+        const value = String(values[name]);
+        return width ? value.padStart(parseInt(width, 10), '0') : value;
+    }).replace(/\$\$/g, '$');
+}
+
+function childElements(element, name) {
+    return element ? Array.from(element.children).filter((child) => child.localName === name) : [];
+}
+
+/**
+ * Resolve nested BaseURL elements from the outermost element inwards
+ */
+function resolveDashBase(baseUrl, elements) {
+    return elements.reduce((base, element) => {
+        const baseElement = childElements(element, 'BaseURL')[0];
+        return baseElement ? new URL(baseElement.textContent.trim(), base).href : base;
+    }, baseUrl);
+}
+
+/**
+ * Build the segment list for one representation from its SegmentTemplate
+ */
+function buildDashSegments(template, representation, base, periodDuration) {
+    const timescale = parseInt(template.getAttribute('timescale') || '1', 10);
+    const startNumber = parseInt(template.getAttribute('startNumber') || '1', 10);
+    const media = template.getAttribute('media');
+    const values = { RepresentationID: representation.id, Bandwidth: representation.bandwidth };
+    const segments = [];
+    const timeline = childElements(template, 'SegmentTimeline')[0];
+
+    if (timeline) {
+        let time = 0;
+        let number = startNumber;
+        childElements(timeline, 'S').forEach((entry) => {
+            if (entry.hasAttribute('t')) {
+                time = parseInt(entry.getAttribute('t'), 10);
+            }
+            const duration = parseInt(entry.getAttribute('d'), 10);
+            let repeat = parseInt(entry.getAttribute('r') || '0', 10);
+            if (repeat < 0) {
+                // r="-1" repeats until the end of the period
+                repeat = Math.ceil((periodDuration * timescale - time) / duration) - 1;
+            }
+            for (let i = 0; i <= repeat; i++) {
+                segments.push({
+                    url: new URL(fillDashTemplate(media, Object.assign({ Number: number, Time: time }, values)), base).href,
+                    start: time / timescale,
+                    duration: duration / timescale
+                });
+                time += duration;
+                number++;
+            }
+        });
+        return segments;
+    }
+
+    const duration = parseInt(template.getAttribute('duration'), 10) / timescale;
+    const count = Math.ceil(periodDuration / duration);
+    for (let i = 0; i < count; i++) {
+        segments.push({
+            url: new URL(fillDashTemplate(media, Object.assign({ Number: startNumber + i, Time: i * duration * timescale }, values)), base).href,
+            start: i * duration,
+            duration: Math.min(duration, periodDuration - i * duration)
+        });
+    }
+    return segments;
+}
+
+/**
+ * Parse a static DASH MPD into video and audio tracks of renditions
+ */
+function parseDashManifest(text, baseUrl) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    const mpd = doc.documentElement;
+    if (!mpd || mpd.localName !== 'MPD') {
+        throw new Error('Not a DASH manifest');
+    }
+
+    const period = childElements(mpd, 'Period')[0];
+    const duration = parseIsoDuration(mpd.getAttribute('mediaPresentationDuration')) ||
+        parseIsoDuration(period && period.getAttribute('duration'));
+    const manifest = { dynamic: mpd.getAttribute('type') === 'dynamic', duration, tracks: [] };
+    if (manifest.dynamic || !period) {
+        return manifest;
+    }
+
+    childElements(period, 'AdaptationSet').forEach((adaptationSet) => {
+        const setMimeType = adaptationSet.getAttribute('mimeType') || '';
+        const kind = adaptationSet.getAttribute('contentType') || setMimeType.split('/')[0];
+        if (kind !== 'video' && kind !== 'audio') {
+            return;
+        }
+
+        const renditions = childElements(adaptationSet, 'Representation').map((element) => {
+            const template = childElements(element, 'SegmentTemplate')[0] ||
+                childElements(adaptationSet, 'SegmentTemplate')[0];
+            if (!template) {
+                throw new Error('Only SegmentTemplate DASH manifests are supported');
+            }
+
+            const representation = {
+                id: element.getAttribute('id'),
+                bandwidth: parseInt(element.getAttribute('bandwidth'), 10) || 0,
+                width: parseInt(element.getAttribute('width') || adaptationSet.getAttribute('width'), 10) || 0,
+                height: parseInt(element.getAttribute('height') || adaptationSet.getAttribute('height'), 10) || 0,
+                codecs: element.getAttribute('codecs') || adaptationSet.getAttribute('codecs'),
+                mimeType: element.getAttribute('mimeType') || setMimeType
+            };
+            const base = resolveDashBase(baseUrl, [mpd, period, adaptationSet, element]);
+            const initialization = template.getAttribute('initialization');
+
+            return Object.assign(representation, {
+                initUrl: initialization ? new URL(fillDashTemplate(initialization, {
+                    RepresentationID: representation.id,
+                    Bandwidth: representation.bandwidth
+                }), base).href : null,
+                segments: buildDashSegments(template, representation, base, duration),
+                loaded: true
+            });
+        });
+
+        manifest.tracks.push({ kind, renditions });
+    });
+
+    return manifest;
+}
+
+class AdaptiveStreamer {
+    constructor(player, video, options) {
+        this.log = logger.child('streaming');
+        this.player = player;
+        this.video = video;
+        this.bandwidthEstimate = options.initialBandwidth;
+        this.bufferGoal = options.bufferGoal;
+        this.safetyFactor = options.safetyFactor;
+        this.mediaSource = null;
+        this.objectUrl = null;
+        this.tracks = [];
+        this.duration = NaN;
+        this.destroyed = false;
+        this.seekGeneration = 0;
+        this.onSeeking = () => this.handleSeeking();
+    }
+
+    static isSupported() {
+        return typeof MediaSource !== 'undefined';
+    }
+
+    /**
+     * Parse the manifest and attach a MediaSource to the video element.
+     * Resolves false when the source should be played natively instead.
+     */
+    async attach(url, type) {
+        this.log.debug("attach - " + type + " source " + url);
+        const text = await this.fetchText(url);
+        const manifest = type === 'hls' ? await this.prepareHls(text, url) : this.prepareDash(text, url);
+        if (!manifest) {
+            return false;
+        }
+
+        this.duration = manifest.duration;
+        this.tracks = manifest.tracks.map((track) => {
+            const renditions = track.renditions
+                .filter((rendition) => MediaSource.isTypeSupported(this.getMimeCodec(rendition)))
+                .sort((a, b) => a.bandwidth - b.bandwidth);
+            return { kind: track.kind, renditions, rendition: null, sourceBuffer: null, nextTime: 0, needsInit: true, done: false };
+        });
+
+        if (this.tracks.some((track) => track.renditions.length === 0)) {
+            throw new Error('No supported renditions in ' + type + ' manifest');
+        }
+
+        this.tracks.forEach((track) => {
+            // Audio stays on its best rendition; video follows the bandwidth estimate
+            track.rendition = track.kind === 'video' ? this.selectRendition(track) : track.renditions[track.renditions.length - 1];
+        });
+        await Promise.all(this.tracks.map((track) => this.loadRendition(track.rendition)));
+
+        await this.openMediaSource();
+        this.video.addEventListener('seeking', this.onSeeking);
+        this.tracks.forEach((track) => this.pump(track));
+        return true;
+    }
+
+    /**
+     * Load the HLS master playlist; null means use native playback
+     */
+    async prepareHls(text, url) {
+        const playlist = parseHlsPlaylist(text, url);
+        const variants = playlist.variants.length > 0 ? playlist.variants :
+            [{ url, bandwidth: 0, codecs: DEFAULT_HLS_CODECS, width: 0, height: 0 }];
+        const renditions = variants.map((variant, index) => Object.assign({ id: String(index), mimeType: 'video/mp4', loaded: false }, variant));
+
+        // Segment format and live/VOD are the same for every variant, so one media playlist tells us
+        const probe = renditions[0];
+        await this.loadRendition(probe);
+        if (!probe.endList || !probe.initUrl) {
+            this.log.debug("prepareHls - live or MPEG-TS playlist, using native playback");
+            return null;
+        }
+        if (probe.encrypted) {
+            throw new Error('Encrypted HLS is not supported');
+        }
+
+        return { duration: probe.duration, tracks: [{ kind: 'video', renditions }] };
+    }
+
+    /**
+     * Parse the DASH manifest; null means use native playback
+     */
+    prepareDash(text, url) {
+        const manifest = parseDashManifest(text, url);
+        if (manifest.dynamic) {
+            this.log.debug("prepareDash - dynamic manifest, using native playback");
+            return null;
+        }
+        if (manifest.tracks.length === 0) {
+            throw new Error('DASH manifest has no audio or video');
+        }
+        return manifest;
+    }
+
+    /**
+     * Fetch the media playlist of an HLS rendition the first time it is used
+     */
+    async loadRendition(rendition) {
+        if (rendition.loaded) {
+            return;
+        }
+        const playlist = parseHlsPlaylist(await this.fetchText(rendition.url), rendition.url);
+        Object.assign(rendition, {
+            initUrl: playlist.initUrl,
+            segments: playlist.segments,
+            duration: playlist.duration,
+            endList: playlist.endList,
+            encrypted: playlist.encrypted,
+            loaded: true
+        });
+    }
+
+    openMediaSource() {
+        return new Promise((resolve, reject) => {
+            this.mediaSource = new MediaSource();
+            this.objectUrl = URL.createObjectURL(this.mediaSource);
+
+            this.mediaSource.addEventListener('sourceopen', () => {
+                try {
+                    if (!isNaN(this.duration)) {
+                        this.mediaSource.duration = this.duration;
+                    }
+                    this.tracks.forEach((track) => {
+                        track.sourceBuffer = this.mediaSource.addSourceBuffer(this.getMimeCodec(track.rendition));
+                    });
+                    resolve();
+                } catch (error) {
+                    reject(error);
+                }
+            }, { once: true });
+
+            this.video.src = this.objectUrl;
+        });
+    }
+
+    getMimeCodec(rendition) {
+        return `${rendition.mimeType}; codecs="${rendition.codecs}"`;
+    }
+
+    /**
+     * Highest rendition that fits the bandwidth estimate, or the lowest one
+     */
+    selectRendition(track) {
+        const budget = this.bandwidthEstimate * this.safetyFactor;
+        const fitting = track.renditions.filter((rendition) => rendition.bandwidth <= budget);
+        return fitting.length > 0 ? fitting[fitting.length - 1] : track.renditions[0];
+    }
+
+    describeRendition(rendition) {
+        const size = rendition.height ? `${rendition.width}x${rendition.height}` : `rendition ${rendition.id}`;
+        return `${size} @ ${(rendition.bandwidth / 1000000).toFixed(1)} Mbps`;
+    }
+
+    /**
+     * Download and append segments for one track while the buffer is below the goal
+     */
+    async pump(track) {
+        let failures = 0;
+
+        while (!this.destroyed && !track.done) {
+            if (this.getBufferedAhead(track.sourceBuffer) >= this.bufferGoal) {
+                await this.sleep(500);
+                continue;
+            }
+
+            const generation = this.seekGeneration;
+            try {
+                if (track.kind === 'video') {
+                    await this.maybeSwitchRendition(track);
+                }
+                if (track.needsInit && track.rendition.initUrl) {
+                    await this.appendBuffer(track.sourceBuffer, await this.fetchSegment(track.rendition.initUrl));
+                    track.needsInit = false;
+                }
+
+                const segment = this.findSegment(track.rendition, track.nextTime);
+                if (!segment) {
+                    track.done = true;
+                    this.maybeEndOfStream();
+                    return;
+                }
+
+                const data = await this.fetchSegment(segment.url);
+                if (this.destroyed || generation !== this.seekGeneration) {
+                    continue; // A seek moved the playhead while this segment downloaded
+                }
+                await this.appendBuffer(track.sourceBuffer, data);
+                track.nextTime = segment.start + segment.duration;
+                failures = 0;
+            } catch (error) {
+                if (this.destroyed) {
+                    return;
+                }
+                failures++;
+                this.log.warn("pump - segment failed", { track: track.kind, attempt: failures, limit: SEGMENT_RETRY_LIMIT, error: error.message });
+                if (failures >= SEGMENT_RETRY_LIMIT) {
+                    this.player.handleStreamingError(error);
+                    return;
+                }
+                await this.sleep(1000 * failures);
+            }
+        }
+    }
+
+    async maybeSwitchRendition(track) {
+        const selected = this.selectRendition(track);
+        if (selected === track.rendition) {
+            return;
+        }
+
+        await this.loadRendition(selected);
+        const direction = selected.bandwidth > track.rendition.bandwidth ? 'up' : 'down';
+        this.log.info("rendition switch " + direction, {
+            from: this.describeRendition(track.rendition),
+            to: this.describeRendition(selected),
+            estimateMbps: Number((this.bandwidthEstimate / 1000000).toFixed(1))
+        });
+        this.player.updatePlaybackStatus(`Quality: ${this.describeRendition(selected)}`, 'info');
+
+        if (selected.codecs !== track.rendition.codecs && typeof track.sourceBuffer.changeType === 'function') {
+            track.sourceBuffer.changeType(this.getMimeCodec(selected));
+        }
+        track.rendition = selected;
+        track.needsInit = true;
+    }
+
+    findSegment(rendition, time) {
+        // Small tolerance so rounding in segment durations does not skip or repeat a segment
+        return rendition.segments.find((segment) => segment.start + segment.duration > time + 0.01) || null;
+    }
+
+    getBufferedAhead(sourceBuffer) {
+        const buffered = sourceBuffer.buffered;
+        const currentTime = this.video.currentTime;
+        for (let i = 0; i < buffered.length; i++) {
+            if (buffered.start(i) <= currentTime + 0.5 && buffered.end(i) > currentTime) {
+                return buffered.end(i) - currentTime;
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * Fetch a segment and fold its throughput into the bandwidth estimate
+     */
+    async fetchSegment(url) {
+        const started = performance.now();
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status} for segment ${url}`);
+        }
+        const data = await response.arrayBuffer();
+        const seconds = Math.max((performance.now() - started) / 1000, 0.001);
+
+        // Tiny responses finish too fast to say anything about throughput
+        if (data.byteLength > 16 * 1024) {
+            const sample = (data.byteLength * 8) / seconds;
+            this.bandwidthEstimate = 0.7 * this.bandwidthEstimate + 0.3 * sample;
+        }
+        return data;
+    }
+
+    async fetchText(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status} for ${url}`);
+        }
+        return response.text();
+    }
+
+    async appendBuffer(sourceBuffer, data) {
+        try {
+            await this.appendOnce(sourceBuffer, data);
+        } catch (error) {
+            if (error.name !== 'QuotaExceededError') {
+                throw error;
+            }
+            // Buffer is full: drop what has already been played and try again
+            this.log.debug("appendBuffer - quota exceeded, evicting played media");
+            await this.removeBuffer(sourceBuffer, 0, Math.max(this.video.currentTime - 10, 0));
+            await this.appendOnce(sourceBuffer, data);
+        }
+    }
+
+    appendOnce(sourceBuffer, data) {
+        return this.runBufferOperation(sourceBuffer, () => sourceBuffer.appendBuffer(data));
+    }
+
+    removeBuffer(sourceBuffer, start, end) {
+        if (end <= start) {
+            return Promise.resolve();
+        }
+        return this.runBufferOperation(sourceBuffer, () => sourceBuffer.remove(start, end));
+    }
+
+    runBufferOperation(sourceBuffer, operation) {
+        return new Promise((resolve, reject) => {
+            const cleanup = () => {
+                sourceBuffer.removeEventListener('updateend', onUpdateEnd);
+                sourceBuffer.removeEventListener('error', onError);
+            };
+            const onUpdateEnd = () => {
+                cleanup();
+                resolve();
+            };
+            const onError = () => {
+                cleanup();
+                reject(new Error('SourceBuffer error'));
+            };
+
+            sourceBuffer.addEventListener('updateend', onUpdateEnd);
+            sourceBuffer.addEventListener('error', onError);
+            try {
+                operation();
+            } catch (error) {
+                cleanup();
+                reject(error);
+            }
+        });
+    }
+
+    maybeEndOfStream() {
+        const allDone = this.tracks.every((track) => track.done && !track.sourceBuffer.updating);
+        if (allDone && this.mediaSource.readyState === 'open') {
+            this.log.debug("maybeEndOfStream - all segments appended");
+            this.mediaSource.endOfStream();
+        }
+    }
+
+    /**
+     * Restart segment loading from the new playhead position
+     */
+    handleSeeking() {
+        this.seekGeneration++;
+        const time = this.video.currentTime;
+        this.log.debug("handleSeeking - resuming segment loading at " + time.toFixed(1) + "s");
+
+        this.tracks.forEach((track) => {
+            track.nextTime = time;
+            if (track.done) {
+                track.done = false;
+                this.pump(track);
+            }
+        });
+    }
+
+    sleep(ms) {
+        return new Promise((resolve) => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Stop loading and release the MediaSource
+     */
+    destroy() {
+        this.destroyed = true;
+        this.video.removeEventListener('seeking', this.onSeeking);
+        if (this.objectUrl) {
+            URL.revokeObjectURL(this.objectUrl);
+            this.objectUrl = null;
+        }
+        this.mediaSource = null;
+    }
+}
@@ -0,0 +1,273 @@
+/**
+ * DigiDisplay Subtitles - Tizen Web App
+ * External WebVTT/SRT caption tracks for video items, text and audio track
+ * selection from the remote, and caption styling for TV viewing distance.
+ *
+ * Items list their caption files as
+ *     "subtitles": [{ "url": "https://cdn.example.com/promo.en.srt", "language": "en", "label": "English", "default": true }]
+ * SRT files are converted to WebVTT when they are fetched.
+ */
+
+const SUBTITLE_STYLE_ID = 'caption-style';
+
+/**
+ * Convert SubRip text to WebVTT
+ */
+function srtToVtt(text) {
+    const body = text
+        .replace(/^\uFEFF/, '')
+        .replace(/\r\n?/g, '\n')
+        .trim()
+        .split('\n')
+        // Only timing lines change: 00:00:01,500 --> 00:00:04,000 becomes 00:00:01.500 --> 00:00:04.000.
+        // The numeric cue counters can stay; WebVTT reads them as cue identifiers
+        .map((line) => (line.includes('-->') ? line.replace(/(\d),(\d{3})/g, '$1.$2') : line))
+        .join('\n');
+    return `WEBVTT\n\n${body}\n`;
+}
+
+/**
+ * SRT unless the file says it is WebVTT
+ */
+function isSrt(url, text) {
+    if (/^\uFEFF?WEBVTT/.test(text)) {
+        return false;
+    }
+    return /\.srt(\?|#|$)/i.test(url) || /\d{2}:\d{2}:\d{2},\d{3}\s*-->/.test(text);
+}
+
+class SubtitleManager {
+    constructor(player, options) {
+        this.log = logger.child('subtitles');
+        this.player = player;
+        this.options = options;
+        this.trackElements = [];    // <track> elements added for the current item
+        this.objectUrls = [];
+        this.attachToken = 0;
+        this.onCueChange = (e) => this.positionCues(e.target);
+    }
+
+    getVideo() {
+        return document.getElementById('video-player');
+    }
+
+    /**
+     * Inject the configured caption style
+     */
+    start() {
+        const options = this.options;
+        let style = document.getElementById(SUBTITLE_STYLE_ID);
+        if (!style) {
+            style = document.createElement('style');
+            style.id = SUBTITLE_STYLE_ID;
+            document.head.appendChild(style);
+        }
+        // Cue text is sized relative to the video, so a percentage keeps it readable on any screen
+        style.textContent = `video::cue {
+    font-size: ${options.fontSize}%;
+    color: ${options.color};
+    background-color: ${options.background};
+    font-family: ${options.fontFamily};
+}`;
+
+        // Either of the deck's video elements may be on screen when tracks change
+        this.player.deck.getElements().forEach((video) => {
+            video.textTracks.addEventListener('addtrack', () => this.updateButtons());
+            video.textTracks.addEventListener('removetrack', () => this.updateButtons());
+            if (video.audioTracks) {
+                video.audioTracks.addEventListener('addtrack', () => this.updateButtons());
+            }
+        });
+        this.updateButtons();
+    }
+
+    /**
+     * Add the caption tracks of the playlist item being played at url
+     */
+    async attach(url) {
+        const token = ++this.attachToken;
+        this.clear();
+
+        const item = this.player.playlist.findCurrentItem(url);
+        const subtitles = item ? item.subtitles || [] : [];
+        if (subtitles.length === 0) {
+            this.selectDefaultTrack();
+            return;
+        }
+
+        const loaded = await Promise.all(subtitles.map((subtitle) => this.fetchTrack(subtitle)));
+        // Another video was loaded while the caption files were downloading
+        if (token !== this.attachToken) {
+            loaded.forEach((track) => track && URL.revokeObjectURL(track.objectUrl));
+            return;
+        }
+
+        const video = this.getVideo();
+        loaded.forEach((track) => {
+            if (!track) {
+                return;
+            }
+            const element = document.createElement('track');
+            element.kind = 'subtitles';
+            element.label = track.subtitle.label || track.subtitle.language || 'Subtitles';
+            element.srclang = track.subtitle.language || '';
+            element.src = track.objectUrl;
+            element.dataset.default = track.subtitle.default ? 'true' : 'false';
+            video.appendChild(element);
+            this.trackElements.push(element);
+            this.objectUrls.push(track.objectUrl);
+        });
+        this.log.info("attach - caption tracks added", { url, tracks: this.trackElements.length });
+        this.selectDefaultTrack();
+    }
+
+    /**
+     * Download a caption file, converting SRT; failures only lose that track
+     */
+    async fetchTrack(subtitle) {
+        try {
+            const response = await fetch(subtitle.url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            let text = await response.text();
+            if (isSrt(subtitle.url, text)) {
+                text = srtToVtt(text);
+            }
+            return { subtitle, objectUrl: URL.createObjectURL(new Blob([text], { type: 'text/vtt' })) };
+        } catch (error) {
+            this.log.warn("fetchTrack - caption file unavailable", { url: subtitle.url, error: error.message });
+            return null;
+        }
+    }
+
+    /**
+     * Remove the tracks added for the previous item
+     */
+    clear() {
+        this.trackElements.forEach((element) => {
+            if (element.track) {
+                element.track.mode = 'disabled';
+            }
+            element.parentNode.removeChild(element);
+        });
+        this.objectUrls.forEach((objectUrl) => URL.revokeObjectURL(objectUrl));
+        this.trackElements = [];
+        this.objectUrls = [];
+    }
+
+    /**
+     * Show the track in the preferred language, else one marked default, else none
+     */
+    selectDefaultTrack() {
+        const tracks = this.getTextTracks();
+        const language = this.options.language;
+        let index = language ? tracks.findIndex((track) => track.language === language) : -1;
+        if (index === -1) {
+            index = this.trackElements.findIndex((element) => element.dataset.default === 'true');
+            if (index !== -1) {
+                index = tracks.indexOf(this.trackElements[index].track);
+            }
+        }
+        this.selectTextTrack(index);
+    }
+
+    getTextTracks() {
+        return Array.from(this.getVideo().textTracks)
+            .filter((track) => track.kind === 'subtitles' || track.kind === 'captions');
+    }
+
+    getAudioTracks() {
+        const audioTracks = this.getVideo().audioTracks;
+        return audioTracks ? Array.from(audioTracks) : [];
+    }
+
+    /**
+     * Show one text track, or none with -1
+     */
+    selectTextTrack(index) {
+        const tracks = this.getTextTracks();
+        tracks.forEach((track, trackIndex) => {
+            track.removeEventListener('cuechange', this.onCueChange);
+            track.mode = trackIndex === index ? 'showing' : 'disabled';
+        });
+        if (tracks[index]) {
+            tracks[index].addEventListener('cuechange', this.onCueChange);
+            this.log.debug("selectTextTrack", { label: tracks[index].label, language: tracks[index].language });
+        }
+        this.updateButtons();
+    }
+
+    selectAudioTrack(index) {
+        const tracks = this.getAudioTracks();
+        tracks.forEach((track, trackIndex) => {
+            track.enabled = trackIndex === index;
+        });
+        if (tracks[index]) {
+            this.log.debug("selectAudioTrack", { label: tracks[index].label, language: tracks[index].language });
+        }
+        this.updateButtons();
+    }
+
+    /**
+     * Remote-friendly: each press moves to the next text track, then to off
+     */
+    cycleTextTrack() {
+        const tracks = this.getTextTracks();
+        if (tracks.length === 0) {
+            this.player.showNotification('No subtitles for this video', 'info');
+            return;
+        }
+        const current = tracks.findIndex((track) => track.mode === 'showing');
+        const next = current + 1 < tracks.length ? current + 1 : -1;
+        this.selectTextTrack(next);
+        this.player.showNotification(`Subtitles: ${next === -1 ? 'Off' : this.describeTrack(tracks[next])}`, 'info');
+    }
+
+    cycleAudioTrack() {
+        const tracks = this.getAudioTracks();
+        if (tracks.length < 2) {
+            this.player.showNotification('No other audio tracks for this video', 'info');
+            return;
+        }
+        const current = tracks.findIndex((track) => track.enabled);
+        const next = (current + 1) % tracks.length;
+        this.selectAudioTrack(next);
+        this.player.showNotification(`Audio: ${this.describeTrack(tracks[next])}`, 'info');
+    }
+
+    describeTrack(track) {
+        return track.label || track.language || 'Unnamed';
+    }
+
+    /**
+     * Captions at the top are moved there cue by cue as they become active
+     */
+    positionCues(track) {
+        if (this.options.position !== 'top' || !track.activeCues) {
+            return;
+        }
+        Array.from(track.activeCues).forEach((cue) => {
+            if (cue.line !== 0) {
+                cue.snapToLines = true;
+                cue.line = 0;
+            }
+        });
+    }
+
+    updateButtons() {
+        const textButton = document.getElementById('subtitles-btn');
+        const audioButton = document.getElementById('audio-btn');
+        if (!textButton || !audioButton) {
+            return;
+        }
+
+        const showing = this.getTextTracks().find((track) => track.mode === 'showing');
+        textButton.textContent = `CC: ${showing ? this.describeTrack(showing) : 'Off'}`;
+
+        const audioTracks = this.getAudioTracks();
+        const enabled = audioTracks.find((track) => track.enabled);
+        audioButton.textContent = `Audio: ${enabled ? this.describeTrack(enabled) : 'Default'}`;
+        audioButton.disabled = audioTracks.length < 2;
+    }
+}
@@ -0,0 +1,173 @@
+/**
+ * DigiDisplay Thumbnails - Tizen Web App
+ * Still frames of videos for the info panel and the Recent, Bookmarks and
+ * cache lists, captured by seeking a hidden video element and drawing the
+ * frame into a canvas. Kept in local storage as small JPEG data URLs.
+ *
+ * Many TVs have a single hardware video decoder, so by default frames are
+ * only captured while the main player is not playing.
+ */
+
+const THUMBNAIL_STORAGE_KEY = 'digidisplay.thumbnails';
+const THUMBNAIL_LOAD_TIMEOUT = 15000;
+const THUMBNAIL_IDLE_CHECK = 5000;      // Milliseconds between checks for an idle player while frames wait
+
+class ThumbnailGenerator {
+    constructor(player, options) {
+        this.log = logger.child('thumbnails');
+        this.player = player;
+        this.enabled = options.enabled;
+        this.width = options.width;
+        this.maxEntries = options.cacheSize;
+        this.captureWhilePlaying = options.captureWhilePlaying;
+        this.entries = this.load();     // url -> { data, capturedAt }
+        this.queue = [];                // { url, resolvers }
+        this.failed = new Set();        // URLs not tried again this session
+        this.busy = false;
+        this.idleTimer = null;
+    }
+
+    /**
+     * Stored frame for url, if there is one
+     */
+    get(url) {
+        if (detectContentType(url) === 'image') {
+            return url;
+        }
+        const entry = this.entries[url];
+        return entry ? entry.data : null;
+    }
+
+    /**
+     * Frame for url, captured when needed; resolves null when it cannot be
+     */
+    request(url) {
+        const existing = this.get(url);
+        if (existing || !this.enabled || this.failed.has(url) ||
+            detectContentType(url) !== 'video' || detectSourceType(url) !== 'progressive') {
+            return Promise.resolve(existing);
+        }
+
+        return new Promise((resolve) => {
+            const queued = this.queue.find((job) => job.url === url);
+            if (queued) {
+                queued.resolvers.push(resolve);
+                return;
+            }
+            this.queue.push({ url, resolvers: [resolve] });
+            this.processQueue();
+        });
+    }
+
+    isPlayerIdle() {
+        const video = document.getElementById('video-player');
+        return this.captureWhilePlaying || video.paused || video.ended;
+    }
+
+    async processQueue() {
+        if (this.busy || this.queue.length === 0) {
+            return;
+        }
+        if (!this.isPlayerIdle()) {
+            clearTimeout(this.idleTimer);
+            this.idleTimer = setTimeout(() => this.processQueue(), THUMBNAIL_IDLE_CHECK);
+            return;
+        }
+
+        this.busy = true;
+        const job = this.queue.shift();
+        let data = null;
+        try {
+            data = await this.capture(job.url);
+            this.store(job.url, data);
+        } catch (error) {
+            this.failed.add(job.url);
+            this.log.info("processQueue - no thumbnail", { url: job.url, error: error.message });
+        }
+        this.busy = false;
+        job.resolvers.forEach((resolve) => resolve(data));
+        this.processQueue();
+    }
+
+    /**
+     * Seek a hidden video a tenth of the way in and draw that frame
+     */
+    async capture(url) {
+        const blob = await this.player.mediaCache.getBlob(url);
+        const objectUrl = blob ? URL.createObjectURL(blob) : null;
+        const video = document.createElement('video');
+        video.muted = true;
+        video.preload = 'auto';
+        if (!objectUrl) {
+            // Without CORS the frame would taint the canvas and could not be read back
+            video.crossOrigin = 'anonymous';
+        }
+
+        try {
+            video.src = objectUrl || url;
+            await this.waitFor(video, 'loadeddata');
+            const duration = isFinite(video.duration) ? video.duration : 0;
+            video.currentTime = Math.min(Math.max(duration * 0.1, 1), duration / 2);
+            await this.waitFor(video, 'seeked');
+
+            if (!video.videoWidth || !video.videoHeight) {
+                throw new Error('no video frames');
+            }
+            const canvas = document.createElement('canvas');
+            canvas.width = this.width;
+            canvas.height = Math.round(this.width * video.videoHeight / video.videoWidth);
+            canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+            this.log.debug("capture", { url, time: video.currentTime });
+            return canvas.toDataURL('image/jpeg', 0.7);
+        } finally {
+            video.removeAttribute('src');
+            video.load();
+            if (objectUrl) {
+                URL.revokeObjectURL(objectUrl);
+            }
+        }
+    }
+
+    waitFor(video, eventName) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => done(new Error(`timed out waiting for ${eventName}`)), THUMBNAIL_LOAD_TIMEOUT);
+            const onEvent = () => done(null);
+            const onError = () => done(new Error(video.error ? video.error.message || `media error ${video.error.code}` : 'load failed'));
+            const done = (error) => {
+                clearTimeout(timer);
+                video.removeEventListener(eventName, onEvent);
+                video.removeEventListener('error', onError);
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve();
+                }
+            };
+            video.addEventListener(eventName, onEvent);
+            video.addEventListener('error', onError);
+        });
+    }
+
+    /**
+     * Keep the newest frames within the configured count
+     */
+    store(url, data) {
+        this.entries[url] = { data, capturedAt: Date.now() };
+        const urls = Object.keys(this.entries).sort((a, b) => this.entries[b].capturedAt - this.entries[a].capturedAt);
+        urls.slice(this.maxEntries).forEach((old) => delete this.entries[old]);
+        try {
+            localStorage.setItem(THUMBNAIL_STORAGE_KEY, JSON.stringify(this.entries));
+        } catch (error) {
+            this.log.warn("store - failed to persist thumbnails", { error: error.message });
+        }
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(THUMBNAIL_STORAGE_KEY));
+            return stored && typeof stored === 'object' ? stored : {};
+        } catch (error) {
+            return {};
+        }
+    }
+}
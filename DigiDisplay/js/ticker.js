@@ -0,0 +1,303 @@
+/**
+ * DigiDisplay Ticker - Tizen Web App
+ * Crawl of short messages from a static list, an RSS/Atom feed or a JSON
+ * endpoint. Used as an overlay over the video player and by ticker zones.
+ *
+ * The crawl only animates transform, which the compositor runs off the
+ * main thread, and swaps text between passes, so it never forces layout
+ * while video frames are being presented.
+ */
+
+const TICKER_CACHE_PREFIX = 'digidisplay.ticker.';
+
+/**
+ * Plain text of a feed title, which may carry escaped HTML
+ */
+function stripTickerMarkup(text) {
+    const doc = new DOMParser().parseFromString(text, 'text/html');
+    return (doc.body.textContent || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Titles of the items of an RSS or Atom document. Malformed XML falls back
+ * to picking <title> elements out of <item>/<entry> blocks with a pattern.
+ */
+function parseTickerFeed(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    let titles = [];
+
+    if (!doc.getElementsByTagName('parsererror').length) {
+        const entries = Array.from(doc.getElementsByTagName('item'))
+            .concat(Array.from(doc.getElementsByTagName('entry')));
+        titles = entries.map((entry) => {
+            const title = entry.getElementsByTagName('title')[0];
+            return title ? title.textContent : '';
+        });
+    } else {
+        const blocks = text.match(/<(item|entry)\b[\s\S]*?<\/\1>/gi) || [];
+        titles = blocks.map((block) => {
+            const match = block.match(/<title\b[^>]*>([\s\S]*?)<\/title>/i);
+            return match ? match[1].replace(/^<!\[CDATA\[|\]\]>$/g, '') : '';
+        });
+    }
+
+    return titles.map(stripTickerMarkup).filter((title) => title.length > 0);
+}
+
+/**
+ * Message texts from a JSON response: itemsPath is a dotted path to the array,
+ * items are strings or objects carrying their text in textField
+ */
+function parseTickerJson(data, itemsPath, textField) {
+    let items = data;
+    (itemsPath ? itemsPath.split('.') : []).forEach((key) => {
+        items = items && typeof items === 'object' ? items[key] : undefined;
+    });
+    if (!Array.isArray(items)) {
+        throw new Error(`no array at ${itemsPath || 'the top level'}`);
+    }
+
+    return items
+        .map((item) => (typeof item === 'string' ? item : item && item[textField]))
+        .filter((text) => typeof text === 'string')
+        .map(stripTickerMarkup)
+        .filter((text) => text.length > 0);
+}
+
+/**
+ * Keeps a ticker's messages current, caching the last good fetch for offline use
+ */
+class TickerFeed {
+    constructor(id, options) {
+        this.log = logger.child(`ticker:${id}`);
+        this.cacheKey = TICKER_CACHE_PREFIX + id;
+        this.source = options.source || 'static';
+        this.messages = options.messages || [];
+        this.url = options.url;
+        this.itemsPath = options.itemsPath || '';
+        this.textField = options.textField || 'title';
+        this.refreshInterval = (options.refreshInterval || 300) * 1000;
+        this.fetchTimeout = (options.fetchTimeout || 15) * 1000;
+        this.maxItems = options.maxItems || 20;
+        this.timer = null;
+        this.onItems = null;
+    }
+
+    /**
+     * Deliver messages to onItems now and whenever a refresh brings new ones
+     */
+    start(onItems) {
+        this.onItems = onItems;
+        if (this.source === 'static' || !this.url) {
+            onItems(this.messages);
+            return;
+        }
+
+        const cached = this.loadCache();
+        if (cached.length > 0) {
+            onItems(cached);
+        }
+        this.refresh();
+        this.timer = setInterval(() => this.refresh(), this.refreshInterval);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.onItems = null;
+    }
+
+    async refresh() {
+        let items;
+        try {
+            items = await this.fetchItems();
+        } catch (error) {
+            this.log.warn("refresh - feed unavailable, keeping last good items", { url: this.url, error: error.message });
+            return;
+        }
+        if (items.length === 0) {
+            this.log.warn("refresh - feed has no items, keeping last good items", { url: this.url });
+            return;
+        }
+
+        items = items.slice(0, this.maxItems);
+        this.log.debug("refresh - feed updated", { url: this.url, items: items.length });
+        this.saveCache(items);
+        if (this.onItems) {
+            this.onItems(items);
+        }
+    }
+
+    async fetchItems() {
+        const controller = typeof AbortController === 'function' ? new AbortController() : null;
+        const timer = setTimeout(() => controller && controller.abort(), this.fetchTimeout);
+        try {
+            const response = await fetch(this.url, controller ? { signal: controller.signal, cache: 'no-cache' } : { cache: 'no-cache' });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const text = await response.text();
+            return this.source === 'json'
+                ? parseTickerJson(JSON.parse(text), this.itemsPath, this.textField)
+                : parseTickerFeed(text);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    loadCache() {
+        try {
+            const cached = JSON.parse(localStorage.getItem(this.cacheKey));
+            return cached && cached.url === this.url ? cached.items : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    saveCache(items) {
+        try {
+            localStorage.setItem(this.cacheKey, JSON.stringify({ url: this.url, items, fetchedAt: Date.now() }));
+        } catch (error) {
+            this.log.warn("saveCache - failed to persist feed items", { error: error.message });
+        }
+    }
+}
+
+/**
+ * Scrolls messages right to left through an element at a constant speed
+ */
+class TickerCrawl {
+    constructor(element, options) {
+        this.element = element;
+        this.speed = options.speed || 120;     // Pixels per second
+        this.separator = options.separator !== undefined ? options.separator : '   •   ';
+        this.messages = [];
+        this.pending = null;    // Messages waiting for the current pass to end
+        this.animation = null;
+        this.running = false;
+
+        this.text = document.createElement('div');
+        this.text.className = 'ticker-text';
+        element.appendChild(this.text);
+    }
+
+    /**
+     * New messages take over at the end of the current pass, so the text never jumps
+     */
+    setMessages(messages) {
+        if (this.animation) {
+            this.pending = messages;
+            return;
+        }
+        this.messages = messages;
+        this.text.textContent = messages.join(this.separator);
+        if (this.running) {
+            this.pass();
+        }
+    }
+
+    start() {
+        this.running = true;
+        this.pass();
+    }
+
+    stop() {
+        this.running = false;
+        if (this.animation) {
+            this.animation.onfinish = null;
+            this.animation.cancel();
+            this.animation = null;
+        }
+    }
+
+    /**
+     * Sizes changed: restart the pass with the new measurements
+     */
+    resize() {
+        if (this.running) {
+            this.stop();
+            this.start();
+        }
+    }
+
+    pass() {
+        if (this.pending) {
+            this.messages = this.pending;
+            this.pending = null;
+            this.text.textContent = this.messages.join(this.separator);
+        }
+        if (this.messages.length === 0) {
+            return;
+        }
+
+        // Measure once per pass; nothing below touches layout again until it ends
+        const width = this.element.getBoundingClientRect().width;
+        const textWidth = this.text.getBoundingClientRect().width;
+        if (width === 0 || textWidth === 0) {
+            return;
+        }
+
+        this.animation = this.text.animate([
+            { transform: `translateX(${width}px)` },
+            { transform: `translateX(${-textWidth}px)` }
+        ], { duration: (width + textWidth) / this.speed * 1000, easing: 'linear' });
+        this.animation.onfinish = () => {
+            this.animation = null;
+            if (this.running) {
+                this.pass();
+            }
+        };
+    }
+}
+
+/**
+ * Ticker band along the top or bottom of the video player
+ */
+class TickerOverlay {
+    constructor(player, options) {
+        this.log = logger.child('ticker');
+        this.player = player;
+        this.options = options;
+        this.enabled = options.enabled;
+        this.element = null;
+        this.crawl = null;
+        this.feed = null;
+    }
+
+    start() {
+        if (!this.enabled) {
+            return;
+        }
+
+        const options = this.options;
+        this.element = document.createElement('div');
+        this.element.className = `ticker-overlay ticker-${options.position === 'top' ? 'top' : 'bottom'}`;
+        this.element.style.fontFamily = options.fontFamily;
+        this.element.style.fontSize = `${options.fontSize}px`;
+        this.element.style.color = options.color;
+        this.element.style.background = options.background;
+        document.getElementById('zone-main').appendChild(this.element);
+
+        this.crawl = new TickerCrawl(this.element, options);
+        this.crawl.start();
+        this.feed = new TickerFeed('overlay', options);
+        this.feed.start((items) => this.crawl.setMessages(items));
+        this.log.info("start - ticker running", { source: options.source, position: options.position });
+
+        if (typeof ResizeObserver === 'function') {
+            new ResizeObserver(() => this.crawl && this.crawl.resize()).observe(this.element);
+        }
+    }
+
+    stop() {
+        if (!this.element) {
+            return;
+        }
+        this.feed.stop();
+        this.crawl.stop();
+        this.element.parentNode.removeChild(this.element);
+        this.element = null;
+        this.crawl = null;
+        this.feed = null;
+    }
+}
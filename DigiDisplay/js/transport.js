@@ -0,0 +1,293 @@
+/**
+ * DigiDisplay Transport Bar - Tizen Web App
+ * D-pad friendly seek bar over the video: timeline with buffered ranges and
+ * chapter markers, elapsed/remaining time, skips, chapter jumps and speed.
+ *
+ * Any key press shows it and it hides again after a timeout. Inside the bar
+ * Left/Right move between controls (or seek, on the timeline), Up/Down move
+ * between the timeline and the buttons, and Enter activates.
+ *
+ * Chapters come from the playlist item: "chapters": [{ "time": 95, "title": "Menu" }]
+ */
+
+const CHAPTER_RESTART_THRESHOLD = 3;    // Seconds into a chapter after which "previous" restarts it
+
+/**
+ * Format seconds as m:ss or h:mm:ss
+ */
+function formatPlaybackTime(seconds) {
+    if (!isFinite(seconds) || seconds < 0) {
+        seconds = 0;
+    }
+    const total = Math.floor(seconds);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = String(total % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+}
+
+class TransportBar {
+    constructor(player, options) {
+        this.log = logger.child('transport');
+        this.player = player;
+        this.hideTimeout = options.hideTimeout * 1000;
+        this.skipShort = options.skipShort;
+        this.skipLong = options.skipLong;
+        this.rates = options.rates;
+        this.visible = false;
+        this.hideTimer = null;
+    }
+
+    getVideo() {
+        return document.getElementById('video-player');
+    }
+
+    start() {
+        const deck = this.player.deck;
+        this.bar = document.getElementById('transport-bar');
+        this.timeline = document.getElementById('transport-timeline');
+
+        // Capture phase runs before page navigation, so the key that reveals the bar can move focus into it
+        document.addEventListener('keydown', (e) => this.handleDocumentKey(e), true);
+        this.bar.addEventListener('keydown', (e) => this.handleBarKey(e));
+        this.bar.addEventListener('focusin', () => this.scheduleHide());
+
+        document.getElementById('transport-play').addEventListener('click', () => this.togglePlay());
+        document.getElementById('transport-back-long').addEventListener('click', () => this.skip(-this.skipLong));
+        document.getElementById('transport-back').addEventListener('click', () => this.skip(-this.skipShort));
+        document.getElementById('transport-forward').addEventListener('click', () => this.skip(this.skipShort));
+        document.getElementById('transport-forward-long').addEventListener('click', () => this.skip(this.skipLong));
+        document.getElementById('transport-chapter-prev').addEventListener('click', () => this.previousChapter());
+        document.getElementById('transport-chapter-next').addEventListener('click', () => this.nextChapter());
+        document.getElementById('transport-rate').addEventListener('click', () => this.cycleRate());
+
+        // Only redraw while visible, so a hidden bar costs nothing during playback
+        ['timeupdate', 'progress', 'durationchange', 'play', 'pause', 'ratechange', 'seeked'].forEach((name) => {
+            deck.listen(name, () => {
+                if (this.visible) {
+                    this.render();
+                }
+            });
+        });
+        deck.listen('loadedmetadata', () => this.renderChapters());
+    }
+
+    /**
+     * Any key press shows the bar. When nothing else has focus (fullscreen
+     * viewing), the key that revealed it moves focus into the bar instead
+     */
+    handleDocumentKey(e) {
+        // A locked signage screen shows video only; its keys belong to the unlock sequence
+        if (!this.hasVideo() || this.player.signage.isLocked()) {
+            return;
+        }
+
+        this.show();
+        if (this.bar.contains(document.activeElement)) {
+            return;
+        }
+
+        const idle = !document.activeElement || document.activeElement === document.body ||
+            document.activeElement === this.getVideo();
+        if (idle && ['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'Enter'].includes(e.key)) {
+            e.preventDefault();
+            e.stopPropagation();
+            document.getElementById('transport-play').focus();
+        }
+    }
+
+    /**
+     * Arrow keys inside the bar; keys it handles do not reach page navigation
+     */
+    handleBarKey(e) {
+        const buttons = this.getButtons();
+        const index = buttons.indexOf(document.activeElement);
+        const onTimeline = document.activeElement === this.timeline;
+        let handled = true;
+
+        if (onTimeline && e.key === 'ArrowLeft') {
+            this.skip(-this.skipShort);
+        } else if (onTimeline && e.key === 'ArrowRight') {
+            this.skip(this.skipShort);
+        } else if (onTimeline && e.key === 'ArrowDown') {
+            document.getElementById('transport-play').focus();
+        } else if (index !== -1 && e.key === 'ArrowLeft') {
+            buttons[Math.max(0, index - 1)].focus();
+        } else if (index !== -1 && e.key === 'ArrowRight') {
+            buttons[Math.min(buttons.length - 1, index + 1)].focus();
+        } else if (index !== -1 && e.key === 'ArrowUp' && this.isSeekable()) {
+            this.timeline.focus();
+        } else {
+            // Up from the timeline and Down from the buttons leave the bar
+            handled = false;
+        }
+
+        if (handled) {
+            e.preventDefault();
+            e.stopPropagation();
+        }
+    }
+
+    getButtons() {
+        return Array.from(this.bar.querySelectorAll('button')).filter((button) => !button.disabled);
+    }
+
+    hasVideo() {
+        return !!this.player.currentVideo && !this.player.content.isShowing();
+    }
+
+    isSeekable() {
+        const video = this.getVideo();
+        return isFinite(video.duration) && video.duration > 0;
+    }
+
+    show() {
+        if (!this.visible) {
+            this.visible = true;
+            this.bar.classList.add('visible');
+            this.renderChapters();
+        }
+        this.render();
+        this.scheduleHide();
+    }
+
+    hide() {
+        this.visible = false;
+        this.bar.classList.remove('visible');
+        // A hidden control must not keep focus, or the next key press would act on it unseen
+        if (this.bar.contains(document.activeElement)) {
+            document.activeElement.blur();
+        }
+    }
+
+    scheduleHide() {
+        clearTimeout(this.hideTimer);
+        this.hideTimer = setTimeout(() => this.hide(), this.hideTimeout);
+    }
+
+    togglePlay() {
+        if (this.getVideo().paused) {
+            this.player.playVideo();
+        } else {
+            this.player.pauseVideo();
+        }
+    }
+
+    skip(seconds) {
+        if (this.isSeekable()) {
+            this.seek(this.getVideo().currentTime + seconds);
+        }
+    }
+
+    seek(time) {
+        const video = this.getVideo();
+        const target = Math.max(0, Math.min(time, video.duration - 0.5));
+        this.log.debug("seek", { from: video.currentTime, to: target });
+        video.currentTime = target;
+        this.render();
+    }
+
+    /**
+     * Chapters of the playlist item now playing, in time order
+     */
+    getChapters() {
+        const item = this.player.playlist.findCurrentItem(this.player.currentVideo);
+        if (!item || !Array.isArray(item.chapters)) {
+            return [];
+        }
+        return item.chapters.slice().sort((a, b) => a.time - b.time);
+    }
+
+    getCurrentChapterIndex(chapters) {
+        const time = this.getVideo().currentTime;
+        let index = -1;
+        chapters.forEach((chapter, chapterIndex) => {
+            if (chapter.time <= time) {
+                index = chapterIndex;
+            }
+        });
+        return index;
+    }
+
+    previousChapter() {
+        const chapters = this.getChapters();
+        const index = this.getCurrentChapterIndex(chapters);
+        if (index === -1) {
+            this.seek(0);
+            return;
+        }
+        const intoChapter = this.getVideo().currentTime - chapters[index].time;
+        const target = intoChapter > CHAPTER_RESTART_THRESHOLD || index === 0 ? index : index - 1;
+        this.seek(chapters[target].time);
+    }
+
+    nextChapter() {
+        const chapters = this.getChapters();
+        const next = chapters[this.getCurrentChapterIndex(chapters) + 1];
+        if (next) {
+            this.seek(next.time);
+        }
+    }
+
+    cycleRate() {
+        const video = this.getVideo();
+        const index = this.rates.indexOf(video.playbackRate);
+        video.playbackRate = this.rates[(index + 1) % this.rates.length];
+        this.log.debug("cycleRate", { rate: video.playbackRate });
+    }
+
+    render() {
+        const video = this.getVideo();
+        const seekable = this.isSeekable();
+        const duration = seekable ? video.duration : 0;
+
+        document.getElementById('transport-elapsed').textContent = formatPlaybackTime(video.currentTime);
+        document.getElementById('transport-remaining').textContent = seekable
+            ? `-${formatPlaybackTime(duration - video.currentTime)}`
+            : 'LIVE';
+        document.getElementById('transport-play').textContent = video.paused ? 'Play' : 'Pause';
+        document.getElementById('transport-rate').textContent = `${video.playbackRate}x`;
+        ['transport-back-long', 'transport-back', 'transport-forward', 'transport-forward-long'].forEach((id) => {
+            document.getElementById(id).disabled = !seekable;
+        });
+
+        const progress = document.getElementById('transport-progress');
+        progress.style.transform = `scaleX(${seekable ? video.currentTime / duration : 0})`;
+
+        const bufferedElement = document.getElementById('transport-buffered');
+        bufferedElement.innerHTML = '';
+        if (seekable) {
+            for (let i = 0; i < video.buffered.length; i++) {
+                const range = document.createElement('div');
+                range.className = 'transport-buffered-range';
+                range.style.left = `${video.buffered.start(i) / duration * 100}%`;
+                range.style.width = `${(video.buffered.end(i) - video.buffered.start(i)) / duration * 100}%`;
+                bufferedElement.appendChild(range);
+            }
+        }
+
+        const chapters = this.getChapters();
+        const chapter = chapters[this.getCurrentChapterIndex(chapters)];
+        document.getElementById('transport-chapter').textContent = chapter ? chapter.title || '' : '';
+        document.getElementById('transport-chapter-prev').disabled = chapters.length === 0;
+        document.getElementById('transport-chapter-next').disabled = chapters.length === 0;
+    }
+
+    /**
+     * Chapter tick marks on the timeline
+     */
+    renderChapters() {
+        const markers = document.getElementById('transport-chapters');
+        markers.innerHTML = '';
+        if (!this.isSeekable()) {
+            return;
+        }
+        const duration = this.getVideo().duration;
+        this.getChapters().forEach((chapter) => {
+            const marker = document.createElement('div');
+            marker.className = 'transport-chapter-marker';
+            marker.style.left = `${chapter.time / duration * 100}%`;
+            markers.appendChild(marker);
+        });
+    }
+}
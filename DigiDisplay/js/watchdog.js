@@ -0,0 +1,247 @@
+/**
+ * DigiDisplay Playback Watchdog - Tizen Web App
+ * Detects frozen playback on unattended screens and escalates through
+ * recovery steps until the video moves again:
+ * seek-nudge -> re-load() -> re-fetch source -> skip item -> restart app
+ */
+
+const RECOVERY_STEPS = ['seekNudge', 'reload', 'refetch', 'skip', 'restartApp'];
+const RECOVERY_STORAGE_KEY = 'digidisplay.recovery';
+const RECOVERY_RESTART_KEY = 'digidisplay.recovery.restart';
+const RECOVERY_HISTORY_SIZE = 50;
+
+class PlaybackWatchdog {
+    constructor(player, options) {
+        this.log = logger.child('watchdog');
+        this.player = player;
+        this.enabled = options.enabled;
+        this.checkInterval = options.checkInterval * 1000;
+        this.stallTimeout = options.stallTimeout * 1000;
+        this.recoveryGrace = options.recoveryGrace * 1000;
+        this.minRestartInterval = options.minRestartInterval * 1000;
+        this.timer = null;
+        this.lastTime = 0;
+        this.lastProgressAt = Date.now();
+        this.progressStreak = 0;
+        this.lastEvent = null;
+        this.step = 0;              // Next recovery step to try
+        this.recoveringSince = 0;   // When the last recovery action ran
+        this.history = this.loadHistory();
+    }
+
+    start() {
+        if (!this.enabled || this.timer) {
+            return;
+        }
+        this.log.info("start - watching playback", { stallTimeout: this.stallTimeout, checkInterval: this.checkInterval });
+        this.timer = setInterval(() => this.check(), this.checkInterval);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Remember the last media event so recovery reasons can mention it
+     */
+    noteEvent(name) {
+        this.lastEvent = { name, time: Date.now() };
+    }
+
+    getVideo() {
+        return document.getElementById('video-player');
+    }
+
+    /**
+     * Playback is expected to progress when it was requested and nothing is loading.
+     * A network video cannot progress offline; the connectivity monitor resumes it instead
+     */
+    isPlaybackExpected(video) {
+        const player = this.player;
+        const waitingForNetwork = player.connectivity.isOffline() && !player.mediaCache.isCached(player.currentVideo);
+        return player.playbackRequested && !player.isLoading && !video.ended && !!player.currentVideo && !waitingForNetwork;
+    }
+
+    check() {
+        const video = this.getVideo();
+        const now = Date.now();
+
+        if (!this.isPlaybackExpected(video)) {
+            this.lastTime = video.currentTime;
+            this.lastProgressAt = now;
+            this.progressStreak = 0;
+            // A load started by a recovery step keeps the escalation level
+            if (!this.player.isLoading) {
+                this.step = 0;
+                this.recoveringSince = 0;
+            }
+            return;
+        }
+
+        if (video.currentTime !== this.lastTime && !video.seeking) {
+            this.lastTime = video.currentTime;
+            this.lastProgressAt = now;
+            this.progressStreak++;
+
+            // A seek moves currentTime once; only sustained movement counts as recovered
+            if (this.progressStreak >= 2 && this.step > 0) {
+                this.log.info("check - playback recovered", { step: RECOVERY_STEPS[this.step - 1] });
+                this.record('recovered', 'playback progressing again');
+                this.step = 0;
+                this.recoveringSince = 0;
+            }
+            return;
+        }
+        this.progressStreak = 0;
+
+        // Give the previous recovery action time to take effect
+        if (this.recoveringSince && now - this.recoveringSince < this.recoveryGrace) {
+            return;
+        }
+
+        if (now - this.lastProgressAt >= this.stallTimeout) {
+            this.recover(video, this.describeStall(video, now));
+        }
+    }
+
+    describeStall(video, now) {
+        let reason = `no progress for ${Math.round((now - this.lastProgressAt) / 1000)}s at ${video.currentTime.toFixed(1)}s` +
+            ` (readyState ${video.readyState}, networkState ${video.networkState}`;
+        if (this.lastEvent) {
+            reason += `, last event ${this.lastEvent.name} ${Math.round((now - this.lastEvent.time) / 1000)}s ago`;
+        }
+        return reason + ')';
+    }
+
+    /**
+     * Run the next recovery step
+     */
+    async recover(video, reason) {
+        const action = RECOVERY_STEPS[Math.min(this.step, RECOVERY_STEPS.length - 1)];
+        this.step++;
+        this.recoveringSince = Date.now();
+
+        this.log.warn("recover - stall detected", { action, reason });
+        this.record(action, reason);
+        this.player.updatePlaybackStatus(`Recovering playback (${action})`, 'warning');
+
+        try {
+            await this[action](video);
+        } catch (error) {
+            this.log.error("recover - action failed", { action, error: error.message });
+            // Blocked autoplay is not a stall; escalating would only end in a restart
+            if (error.name === 'NotAllowedError') {
+                this.player.playbackRequested = false;
+            }
+        }
+    }
+
+    seekNudge(video) {
+        video.currentTime = video.currentTime + 0.5;
+        return video.play();
+    }
+
+    reload(video) {
+        // An attached MediaSource cannot survive load(); re-fetching rebuilds it
+        if (this.player.streamer) {
+            return this.refetch(video);
+        }
+        const position = video.currentTime;
+        video.load();
+        this.resumeAt(video, position);
+        return Promise.resolve();
+    }
+
+    async refetch(video) {
+        const position = video.currentTime;
+        const playlist = this.player.playlist;
+        // Playlist items go through failover, so mirrors and the offline cache take part
+        if (playlist.active && playlist.findCurrentItem(this.player.currentVideo)) {
+            await playlist.reloadCurrent(position);
+            return;
+        }
+        await this.player.loadVideo(this.player.currentVideo);
+        this.resumeAt(this.getVideo(), position);
+    }
+
+    skip(video) {
+        const playlist = this.player.playlist;
+        if (playlist.active && playlist.items.length > 1) {
+            return playlist.next();
+        }
+        // Nothing to skip to - go straight to the last resort
+        this.step++;
+        return this.restartApp(video);
+    }
+
+    restartApp() {
+        const lastRestart = parseInt(localStorage.getItem(RECOVERY_RESTART_KEY) || '0', 10);
+        if (Date.now() - lastRestart < this.minRestartInterval) {
+            this.log.warn("restartApp - restarted recently, starting the recovery steps over");
+            this.step = 0;
+            return Promise.resolve();
+        }
+        localStorage.setItem(RECOVERY_RESTART_KEY, String(Date.now()));
+
+        let appId = 'unknown';
+        try {
+            appId = tizen.application.getCurrentApplication().appInfo.id;
+        } catch (ignore) {}
+        this.log.error("restartApp - restarting application", { appId });
+
+        // The Tizen runtime cannot relaunch a running app, so reload the document inside it
+        window.location.reload();
+        return Promise.resolve();
+    }
+
+    /**
+     * Seek back to where playback froze once the metadata is known, then play
+     */
+    resumeAt(video, position) {
+        const seek = () => {
+            if (position > 0 && position < video.duration) {
+                video.currentTime = position;
+            }
+        };
+
+        if (video.readyState >= 1) { // HAVE_METADATA or higher
+            seek();
+        } else {
+            const onLoadedMetadata = () => {
+                video.removeEventListener('loadedmetadata', onLoadedMetadata);
+                seek();
+            };
+            video.addEventListener('loadedmetadata', onLoadedMetadata);
+        }
+        this.player.playWhenReady();
+    }
+
+    /**
+     * Keep a bounded history of recovery actions with their reasons
+     */
+    record(action, reason) {
+        this.history.push({
+            time: Date.now(),
+            action,
+            reason,
+            url: this.player.currentVideo
+        });
+        if (this.history.length > RECOVERY_HISTORY_SIZE) {
+            this.history.shift();
+        }
+        try {
+            localStorage.setItem(RECOVERY_STORAGE_KEY, JSON.stringify(this.history));
+        } catch (error) {
+            this.log.warn("record - failed to persist recovery history", { error: error.message });
+        }
+    }
+
+    loadHistory() {
+        try {
+            return JSON.parse(localStorage.getItem(RECOVERY_STORAGE_KEY)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+}
@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+/**
+ * DigiDisplay mock provisioning service for local testing.
+ * A minimal HTTP server (Node built-ins only) that remembers the screens
+ * polling it and lets you claim them by pairing code from stdin. Not
+ * packaged with the app.
+ *
+ *   node tools/provisioning-server.js [port]
+ *
+ * Then type commands, e.g.:
+ *   list
+ *   claim K7M2QX https://signage.example.com/screens/lobby.json Europe/London Lobby left
+ *   forget K7M2QX
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const readline = require('readline');
+
+const PORT = parseInt(process.argv[2] || '8766', 10);
+
+const devices = new Map();      // pairing code -> { deviceId, app, version, lastSeen, claim }
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+};
+
+function reply(res, status, body) {
+    res.writeHead(status, Object.assign({ 'Content-Type': 'application/json' }, CORS_HEADERS));
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * A screen polling with its device ID and pairing code
+ */
+function handlePoll(message) {
+    if (typeof message.deviceId !== 'string' || typeof message.pairingCode !== 'string') {
+        return [400, { error: 'deviceId and pairingCode are required' }];
+    }
+    let device = devices.get(message.pairingCode);
+    if (device && device.deviceId !== message.deviceId) {
+        return [409, { error: 'pairing code belongs to another device' }];
+    }
+    if (!device) {
+        device = { deviceId: message.deviceId, claim: null };
+        devices.set(message.pairingCode, device);
+        console.log(`new screen ${message.pairingCode} (${message.deviceId}, ${message.app} ${message.version})`);
+    }
+    device.app = message.app;
+    device.version = message.version;
+    device.lastSeen = new Date();
+
+    if (!device.claim) {
+        return [200, { status: 'pending' }];
+    }
+    console.log(`delivered configuration to ${message.pairingCode}`);
+    return [200, Object.assign({ status: 'claimed' }, device.claim)];
+}
+
+const server = http.createServer((req, res) => {
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, CORS_HEADERS);
+        res.end();
+        return;
+    }
+    if (req.method !== 'POST') {
+        reply(res, 405, { error: 'POST only' });
+        return;
+    }
+
+    let body = '';
+    req.on('data', (chunk) => {
+        body += chunk;
+    });
+    req.on('end', () => {
+        try {
+            const [status, response] = handlePoll(JSON.parse(body));
+            reply(res, status, response);
+        } catch (error) {
+            reply(res, 400, { error: `bad request: ${error.message}` });
+        }
+    });
+});
+
+/**
+ * Run a typed line: list, claim <code> <manifestUrl> [timezone] [display name], forget <code>
+ */
+function runCommand(line) {
+    const [command, code, ...rest] = line.trim().split(/\s+/);
+    const key = code ? code.toUpperCase() : '';
+    if (command === 'list') {
+        if (devices.size === 0) {
+            console.log('no screens have polled yet');
+        }
+        devices.forEach((device, pairingCode) => {
+            const state = device.claim ? `claimed as "${device.claim.displayName}"` : 'waiting';
+            console.log(`${pairingCode}  ${device.deviceId}  ${state}  last seen ${device.lastSeen.toISOString()}`);
+        });
+    } else if (command === 'claim') {
+        const device = devices.get(key);
+        if (!device || !rest[0]) {
+            console.log(device ? 'usage: claim <code> <manifestUrl> [timezone] [display name]' : `no screen with pairing code ${code}`);
+            return;
+        }
+        const [manifestUrl, timezone, ...name] = rest;
+        device.claim = {
+            manifestUrl,
+            credentials: { token: crypto.randomBytes(16).toString('hex') },
+            displayName: name.join(' ') || `Screen ${key}`,
+            timezone
+        };
+        console.log(`claimed ${key}; it picks up the configuration on its next poll (token ${device.claim.credentials.token})`);
+    } else if (command === 'forget') {
+        console.log(devices.delete(key) ? `forgot ${key}` : `no screen with pairing code ${code}`);
+    } else {
+        console.log(`unknown command ${command}`);
+    }
+}
+
+readline.createInterface({ input: process.stdin }).on('line', (line) => {
+    if (line.trim()) {
+        runCommand(line);
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`Mock provisioning service listening on http://localhost:${PORT}`);
+});
@@ -0,0 +1,191 @@
+#!/usr/bin/env node
+/**
+ * DigiDisplay stand-in remote controller for local testing.
+ * A minimal WebSocket server (Node built-ins only) that authenticates screens
+ * and sends them commands typed on stdin. Not packaged with the app.
+ *
+ *   node tools/remote-controller.js [port] [token]
+ *
+ * Then type commands, e.g.:
+ *   load https://example.com/video.mp4 play
+ *   play | pause | stop | next | previous | reloadManifest
+ *   setVolume 40
+ *   getLogs 50 text
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const readline = require('readline');
+
+const PORT = parseInt(process.argv[2] || '8765', 10);
+const TOKEN = process.argv[3] || 'dev-token';
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const screens = new Set();
+let nextCommandId = 1;
+
+/**
+ * Encode a text frame; server frames are never masked
+ */
+function encodeFrame(text, opcode = 0x1) {
+    const payload = Buffer.from(text);
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Decode as many complete client frames as the buffer holds
+ */
+function decodeFrames(buffer) {
+    const frames = [];
+    let offset = 0;
+    while (buffer.length - offset >= 2) {
+        const opcode = buffer[offset] & 0x0f;
+        const masked = (buffer[offset + 1] & 0x80) !== 0;
+        let length = buffer[offset + 1] & 0x7f;
+        let headerLength = 2;
+        if (length === 126) {
+            if (buffer.length - offset < 4) break;
+            length = buffer.readUInt16BE(offset + 2);
+            headerLength = 4;
+        } else if (length === 127) {
+            if (buffer.length - offset < 10) break;
+            length = Number(buffer.readBigUInt64BE(offset + 2));
+            headerLength = 10;
+        }
+        const maskLength = masked ? 4 : 0;
+        if (buffer.length - offset < headerLength + maskLength + length) break;
+
+        const mask = buffer.slice(offset + headerLength, offset + headerLength + maskLength);
+        const payload = Buffer.from(buffer.slice(offset + headerLength + maskLength, offset + headerLength + maskLength + length));
+        if (masked) {
+            for (let i = 0; i < payload.length; i++) {
+                payload[i] ^= mask[i % 4];
+            }
+        }
+        frames.push({ opcode, payload });
+        offset += headerLength + maskLength + length;
+    }
+    return { frames, rest: buffer.slice(offset) };
+}
+
+function send(screen, message) {
+    screen.socket.write(encodeFrame(JSON.stringify(message)));
+}
+
+function close(screen, code, reason) {
+    const payload = Buffer.concat([Buffer.from([code >> 8, code & 0xff]), Buffer.from(reason)]);
+    screen.socket.write(encodeFrame(payload, 0x8));
+    screen.socket.end();
+}
+
+function handleMessage(screen, message) {
+    if (message.type === 'hello') {
+        if (message.token !== TOKEN) {
+            console.log(`[${screen.name}] rejected token "${message.token}"`);
+            close(screen, 4001, 'invalid token');
+            return;
+        }
+        screen.authenticated = true;
+        console.log(`[${screen.name}] authenticated as ${message.name || message.deviceId} (${message.app} ${message.version})`);
+        send(screen, { type: 'welcome' });
+    } else if (message.type === 'ping') {
+        send(screen, { type: 'pong' });
+    } else if (message.type === 'ack') {
+        const result = message.ok ? JSON.stringify(message.result, null, 2) : `ERROR ${message.error}`;
+        console.log(`[${screen.name}] ack #${message.id}: ${result}`);
+    }
+}
+
+const server = http.createServer((req, res) => {
+    res.writeHead(426, { 'Content-Type': 'text/plain' });
+    res.end('WebSocket endpoint\n');
+});
+
+server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    if (!key) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+    const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write('HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n' +
+        `Sec-WebSocket-Accept: ${accept}\r\n\r\n`);
+
+    const screen = { socket, name: `${socket.remoteAddress}:${socket.remotePort}`, authenticated: false };
+    screens.add(screen);
+    console.log(`[${screen.name}] connected`);
+
+    let buffered = Buffer.alloc(0);
+    socket.on('data', (chunk) => {
+        const decoded = decodeFrames(Buffer.concat([buffered, chunk]));
+        buffered = decoded.rest;
+        decoded.frames.forEach(({ opcode, payload }) => {
+            if (opcode === 0x8) {
+                socket.end();
+            } else if (opcode === 0x9) {
+                socket.write(encodeFrame(payload, 0xa));
+            } else if (opcode === 0x1) {
+                try {
+                    handleMessage(screen, JSON.parse(payload.toString()));
+                } catch (error) {
+                    console.log(`[${screen.name}] bad message: ${error.message}`);
+                }
+            }
+        });
+    });
+    socket.on('close', () => {
+        screens.delete(screen);
+        console.log(`[${screen.name}] disconnected`);
+    });
+    socket.on('error', () => socket.destroy());
+});
+
+/**
+ * Turn a typed line into a command message
+ */
+function parseCommand(line) {
+    const [command, ...rest] = line.trim().split(/\s+/);
+    const args = {};
+    if (command === 'load') {
+        args.url = rest[0];
+        args.play = rest[1] === 'play';
+    } else if (command === 'setVolume') {
+        args.volume = Number(rest[0]);
+    } else if (command === 'getLogs') {
+        args.limit = rest[0] ? Number(rest[0]) : undefined;
+        args.format = rest[1];
+    }
+    return { type: 'command', id: nextCommandId++, command, args };
+}
+
+readline.createInterface({ input: process.stdin }).on('line', (line) => {
+    if (!line.trim()) {
+        return;
+    }
+    const message = parseCommand(line);
+    const targets = [...screens].filter((screen) => screen.authenticated);
+    if (targets.length === 0) {
+        console.log('no authenticated screens connected');
+        return;
+    }
+    targets.forEach((screen) => send(screen, message));
+    console.log(`sent #${message.id} ${message.command} to ${targets.length} screen(s)`);
+});
+
+server.listen(PORT, () => {
+    console.log(`Stand-in controller listening on ws://localhost:${PORT} (token "${TOKEN}")`);
+});